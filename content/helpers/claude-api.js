@@ -94,6 +94,21 @@ async function getPhantomMessages(conversationId) {
 	return result?.messages || null;
 }
 
+async function storeSummaryChunks(conversationId, chunks) {
+	const store = window.ClaudeSearchShared?.storeSummaryChunks;
+	if (store) { await store(conversationId, chunks); return; }
+
+	await _bridgeRequest('SUMMARY_CHUNKS_STORE', { conversationId, chunks }, 'SUMMARY_CHUNKS_STORED');
+}
+
+async function getSummaryChunks(conversationId) {
+	const get = window.ClaudeSearchShared?.getSummaryChunks;
+	if (get) return await get(conversationId);
+
+	const result = await _bridgeRequest('SUMMARY_CHUNKS_GET', { conversationId }, 'SUMMARY_CHUNKS_RESULT');
+	return result?.chunks || null;
+}
+
 const ROOT_MESSAGE_UUID = "00000000-0000-4000-8000-000000000000";
 
 // Splice phantom (forked-in) messages onto the front of conversation data, the way the
@@ -678,8 +693,9 @@ class ClaudeConversation {
 		return longestPath;
 	}
 
-	// Navigate to a specific leaf
-	async setCurrentLeaf(leafId) {
+	// Navigate to a specific leaf. Pass reload = false to only switch it server-side, e.g. when
+	// the caller loads another page right after.
+	async setCurrentLeaf(leafId, reload = true) {
 		const url = `/api/organizations/${this.orgId}/chat_conversations/${this.conversationId}/current_leaf_message_uuid`;
 
 		const response = await fetch(url, {
@@ -692,6 +708,7 @@ class ClaudeConversation {
 		if (!response.ok) {
 			throw new Error('Failed to set current leaf');
 		}
+		if (!reload) return;
 
 		// Bust the react-query cache before reloading
 		await bustReactQueryCache();
@@ -1599,6 +1616,17 @@ class ClaudeProject {
 		this.cachedFiles = null;
 	}
 
+	// List the org's projects, unarchived only
+	static async list(orgId) {
+		const response = await fetch(`/api/organizations/${orgId}/projects`);
+		if (!response.ok) {
+			throw new Error('Failed to fetch projects');
+		}
+		const data = await response.json();
+		const projects = Array.isArray(data) ? data : (data.data || []);
+		return projects.filter(p => !p.archived_at);
+	}
+
 	// Get project data
 	async getData(forceRefresh = false) {
 		if (!this.projectData || forceRefresh) {
@@ -1727,7 +1755,24 @@ class ClaudeProject {
 
 	// Download all files and attachments as a zip
 	async downloadAll() {
+		const { zip, projectName } = await this.buildZip();
+
+		// Generate zip and trigger download
+		const zipBlob = await zip.generateAsync({ type: 'blob' });
 
+		const url = URL.createObjectURL(zipBlob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = `${projectName}.zip`;
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		URL.revokeObjectURL(url);
+	}
+
+	// All docs and files in one JSZip, named `{name}-{uuid}.{ext}` so names stay the same
+	// from one run to the next. Files that fail to download are logged and left out.
+	async buildZip() {
 		// Fetch project data and file lists
 		const [projectData, docs, files] = await Promise.all([
 			this.getData(),
@@ -1786,17 +1831,7 @@ class ClaudeProject {
 			}
 		}
 
-		// Generate zip and trigger download
-		const zipBlob = await zip.generateAsync({ type: 'blob' });
-
-		const url = URL.createObjectURL(zipBlob);
-		const a = document.createElement('a');
-		a.href = url;
-		a.download = `${projectName}.zip`;
-		document.body.appendChild(a);
-		a.click();
-		document.body.removeChild(a);
-		URL.revokeObjectURL(url);
+		return { zip, projectName, projectData };
 	}
 
 	// Helper to make unique filenames
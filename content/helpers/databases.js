@@ -175,6 +175,28 @@
 		return JSON.parse(new TextDecoder().decode(decrypted));
 	}
 
+	// Binary counterpart of encryptData for large payloads (backup zips): no JSON or base64 pass,
+	// the ciphertext stays an ArrayBuffer that IndexedDB stores as-is.
+	// Returns { v: 1, keyHash, iv, bytes } or, without a key, { bytes }
+	async function encryptBytes(buffer) {
+		const key = await getEncryptionKey();
+		if (!key) return { bytes: buffer };
+
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		const bytes = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, buffer);
+		return { v: 1, keyHash: _keyHash, iv, bytes };
+	}
+
+	async function decryptBytes(item) {
+		if (!item.v) return item.bytes;
+
+		const key = await getEncryptionKey();
+		if (!key || item.keyHash !== _keyHash) {
+			throw new Error(`Key mismatch: item encrypted with ${item.keyHash}, current key is ${_keyHash || 'none'}`);
+		}
+		return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: item.iv }, key, item.bytes);
+	}
+
 	async function _initEncryptionKey() {
 		let skillsData;
 		for (let attempt = 0; attempt < 10; attempt++) {
@@ -251,13 +273,16 @@
 			const metaCount = await db.metadata.count();
 			const cacheCount = await cacheDB.conversations.count();
 			const phantomCount = await phantomDB.phantomMessages.count();
-			console.log(`[QOL-Encryption] Wiping: ${msgCount} messages, ${metaCount} metadata, ${cacheCount} cached conversations, ${phantomCount} phantom messages`);
+			const summaryCount = await summaryDB.summaryChunks.count();
+			// The offline archive and backup snapshots are deliberately left alone (see their classes)
+			console.log(`[QOL-Encryption] Wiping: ${msgCount} messages, ${metaCount} metadata, ${cacheCount} cached conversations, ${phantomCount} phantom messages, ${summaryCount} summary caches`);
 
 			await Promise.all([
 				db.messages.clear(),
 				db.metadata.clear(),
 				cacheDB.conversations.clear(),
-				phantomDB.phantomMessages.clear()
+				phantomDB.phantomMessages.clear(),
+				summaryDB.summaryChunks.clear()
 			]);
 
 			console.log('[QOL-Encryption] Data wipe complete');
@@ -475,6 +500,156 @@
 		await phantomDB.phantomMessages.delete(conversationId);
 	}
 
+	// ======== SUMMARY CHUNK CACHE DB ========
+	// Per-conversation chunk summaries from forking.js, so a later fork only summarizes what's new
+	const summaryDB = new Dexie('ClaudeSummaryCacheDB');
+	summaryDB.version(1).stores({
+		summaryChunks: 'conversationId'  // stores { conversationId, encryptedData: { chunks, timestamp } }
+	});
+
+	async function storeSummaryChunksDB(conversationId, chunks) {
+		const encrypted = await encryptData({ chunks, timestamp: Date.now() });
+		await summaryDB.summaryChunks.put({ conversationId, encryptedData: encrypted });
+	}
+
+	async function getSummaryChunksDB(conversationId) {
+		const result = await summaryDB.summaryChunks.get(conversationId);
+		if (!result || !result.encryptedData) return null;
+
+		try {
+			const raw = result.encryptedData;
+			const decrypted = await decryptData(raw);
+			// Encrypt-on-read
+			if (!raw?.v && _keyHash) {
+				const encrypted = await encryptData(decrypted);
+				await summaryDB.summaryChunks.put({ conversationId, encryptedData: encrypted });
+			}
+			return decrypted.chunks;
+		} catch (e) {
+			console.warn(`[QOL-Encryption] Decryption failed for summary cache ${conversationId}, deleting entry`);
+			await summaryDB.summaryChunks.delete(conversationId);
+			return null;
+		}
+	}
+
+	// ======== CONVERSATION ARCHIVE DB ========
+	// Whole conversations from the GDPR export, kept even after they are deleted from the account.
+	// Name and timestamps stay plaintext beside the encrypted body so the archive can be listed
+	// without decrypting every conversation in it.
+	// Unlike the caches, nothing here is ever wiped or dropped on a key mismatch - for a deleted
+	// conversation this is the only copy left. Rows under another key are reported as locked and
+	// open again once that key is back (the skill restored, or the other org opened).
+	const archiveDB = new Dexie('ClaudeArchiveDB');
+	archiveDB.version(1).stores({
+		conversations: 'uuid'  // stores { uuid, name, created_at, updated_at, archived_at, message_count, data }
+	});
+
+	class ConversationArchive {
+		async put(conversation) {
+			const encrypted = await encryptData(conversation);
+			await archiveDB.conversations.put({
+				uuid: conversation.uuid,
+				name: conversation.name,
+				created_at: conversation.created_at,
+				updated_at: conversation.updated_at,
+				archived_at: new Date().toISOString(),
+				message_count: (conversation.chat_messages || []).length,
+				data: encrypted
+			});
+		}
+
+		async get(conversationId) {
+			const entry = await archiveDB.conversations.get(conversationId);
+			if (!entry || !entry.data) return null;
+
+			try {
+				const raw = entry.data;
+				const decrypted = await decryptData(raw);
+				// Encrypt-on-read
+				if (!raw?.v && _keyHash) {
+					await archiveDB.conversations.put({ ...entry, data: await encryptData(decrypted) });
+				}
+				return decrypted;
+			} catch (e) {
+				console.warn(`[QOL-Encryption] Decryption failed for archive ${conversationId}, keeping it locked:`, e.message);
+				throw new Error('This conversation is locked: it was archived under an encryption key that is not available right now. It has been kept and will open again once that key is back.');
+			}
+		}
+
+		// Listing only, newest first; bodies stay encrypted
+		async list() {
+			await getEncryptionKey();
+			const entries = await archiveDB.conversations.toArray();
+			return entries
+				.map(({ data, ...meta }) => ({ ...meta, locked: !!(data?.v && data.keyHash !== _keyHash) }))
+				.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+		}
+
+		async count() {
+			return await archiveDB.conversations.count();
+		}
+
+		async delete(conversationId) {
+			await archiveDB.conversations.delete(conversationId);
+		}
+	}
+
+	window.ClaudeSearchShared.conversationArchive = new ConversationArchive();
+
+	// ======== BACKUP SNAPSHOT DB ========
+	// Zips produced by the backup scheduler in exporter.js, stored as raw bytes through encryptBytes;
+	// the listing fields stay plaintext.
+	// Like the archive, snapshots survive a key change: one that no longer decrypts is skipped, not
+	// deleted, and only normal retention ever removes it.
+	const backupDB = new Dexie('ClaudeBackupDB');
+	backupDB.version(1).stores({
+		snapshots: '++id, created_at'  // stores { id, created_at, filename, size, conversation_count, data }
+	});
+
+	class BackupStore {
+		// Adds a snapshot, then drops the oldest ones beyond `retention`
+		async put({ blob, filename, conversationCount }, retention) {
+			await backupDB.snapshots.add({
+				created_at: new Date().toISOString(),
+				filename,
+				size: blob.size,
+				conversation_count: conversationCount,
+				data: await encryptBytes(await blob.arrayBuffer())
+			});
+
+			const keep = Math.max(1, retention || 1);
+			const ids = await backupDB.snapshots.orderBy('created_at').reverse().primaryKeys();
+			if (ids.length > keep) {
+				await backupDB.snapshots.bulkDelete(ids.slice(keep));
+			}
+		}
+
+		// Returns { filename, created_at, blob } for the newest snapshot that still decrypts
+		async getLatest() {
+			const entries = await backupDB.snapshots.orderBy('created_at').reverse().toArray();
+			for (const entry of entries) {
+				try {
+					const blob = new Blob([await decryptBytes(entry.data)], { type: 'application/zip' });
+					return { filename: entry.filename, created_at: entry.created_at, blob };
+				} catch (e) {
+					console.warn(`[QOL-Encryption] Decryption failed for backup ${entry.id}, skipping it:`, e.message);
+				}
+			}
+			if (entries.length > 0) {
+				throw new Error(`None of the ${entries.length} stored backup(s) can be opened with the current encryption key. They have been kept and will open again once that key is back.`);
+			}
+			return null;
+		}
+
+		// Listing only, newest first
+		async list() {
+			const entries = await backupDB.snapshots.orderBy('created_at').reverse().toArray();
+			return entries.map(({ data, ...meta }) => meta);
+		}
+	}
+
+	window.ClaudeSearchShared.backupStore = new BackupStore();
+
 	async function _bulkEncryptAll() {
 		try {
 			// Encrypt all plaintext messages
@@ -501,6 +676,29 @@
 					await phantomDB.phantomMessages.put({ conversationId: row.conversationId, encryptedData: encrypted });
 				}
 			}
+			// Encrypt all plaintext archived conversations
+			const allArchived = await archiveDB.conversations.toArray();
+			for (const row of allArchived) {
+				if (!row.data?.v && _keyHash) {
+					const encrypted = await encryptData(row.data);
+					await archiveDB.conversations.put({ ...row, data: encrypted });
+				}
+			}
+			// Encrypt plaintext backup snapshots one row at a time - a whole-account zip is large
+			const backupIds = await backupDB.snapshots.toCollection().primaryKeys();
+			for (const id of backupIds) {
+				const row = await backupDB.snapshots.get(id);
+				if (!_keyHash || !row || row.data?.v) continue;
+				await backupDB.snapshots.put({ ...row, data: await encryptBytes(row.data.bytes) });
+			}
+			// Encrypt all plaintext summary caches
+			const allSummaries = await summaryDB.summaryChunks.toArray();
+			for (const row of allSummaries) {
+				if (!row.encryptedData?.v && _keyHash) {
+					const encrypted = await encryptData(row.encryptedData);
+					await summaryDB.summaryChunks.put({ conversationId: row.conversationId, encryptedData: encrypted });
+				}
+			}
 			//console.log('[QOL-Encryption] Bulk migration complete.');
 		} catch (e) {
 			console.warn('[QOL-Encryption] Bulk migration error:', e.message);
@@ -511,6 +709,8 @@
 	window.ClaudeSearchShared.storePhantomMessages = storePhantomMessagesDB;
 	window.ClaudeSearchShared.getPhantomMessages = getPhantomMessagesDB;
 	window.ClaudeSearchShared.clearPhantomMessages = clearPhantomMessagesDB;
+	window.ClaudeSearchShared.storeSummaryChunks = storeSummaryChunksDB;
+	window.ClaudeSearchShared.getSummaryChunks = getSummaryChunksDB;
 
 	// ======== PostMessage bridge for MAIN world access ========
 	window.addEventListener('message', async (event) => {
@@ -561,6 +761,23 @@
 					}, '*');
 					break;
 				}
+				case 'SUMMARY_CHUNKS_GET': {
+					const chunks = await getSummaryChunksDB(event.data.conversationId);
+					window.postMessage({
+						type: 'SUMMARY_CHUNKS_RESULT',
+						messageId: event.data.messageId,
+						chunks: chunks
+					}, '*');
+					break;
+				}
+				case 'SUMMARY_CHUNKS_STORE': {
+					await storeSummaryChunksDB(event.data.conversationId, event.data.chunks);
+					window.postMessage({
+						type: 'SUMMARY_CHUNKS_STORED',
+						messageId: event.data.messageId
+					}, '*');
+					break;
+				}
 			}
 		} catch (error) {
 			window.postMessage({
@@ -57,6 +57,35 @@ const SETTINGS_KEYS = {
 	PREF_SWITCHER: {
 		PRESETS: { key: 'preference_presets', default: {}, type: 'object' },
 	},
+	EXPORTER: {
+		// { '<projectId|all>:<format>': { format, exported_at, conversations: { uuid: { name, updated_at, hash, filename } } } }
+		MANIFESTS: { key: 'export_manifests', default: {}, type: 'object' },
+		// { id: { id, name, colorScheme, css, header, footer, lastModified } }
+		HTML_THEMES: { key: 'export_html_themes', default: {}, type: 'object' },
+		HTML_THEME: { key: 'export_html_theme', default: 'default', type: 'string' }, // id of a built-in or custom theme
+		REDACTION: {
+			key: 'export_redaction',
+			default: { enabled: false, emails: true, phones: true, apiKeys: true, ips: true, patterns: [], words: [] },
+			type: 'object'
+		},
+	},
+	FORKING: {
+		AUTO_COMPACT: { key: 'fork_auto_compact', default: 'off', type: 'string' }, // 'off' | 'offer' | 'auto'
+		AUTO_COMPACT_THRESHOLD: { key: 'fork_auto_compact_threshold', default: 150000, type: 'number' }, // estimated tokens
+		AUTO_COMPACT_KEEP: { key: 'fork_auto_compact_keep', default: 20, type: 'number' }, // % of recent messages kept verbatim
+		// { id: { id, name, text, lastModified } }
+		SUMMARY_PROMPTS: { key: 'fork_summary_prompts', default: {}, type: 'object' },
+		SUMMARY_PROMPT: { key: 'fork_summary_prompt', default: 'default', type: 'string' }, // id of a built-in or saved prompt
+		PROJECT_SUMMARY_PROMPTS: { key: 'fork_project_summary_prompts', default: {}, type: 'object' }, // { projectUuid: promptId }
+		// { forkUuid: { parent, parentName, name, forkPoint, summarized, keptPercent, created_at } }
+		LINEAGE: { key: 'fork_lineage', default: {}, type: 'object' },
+	},
+	BACKUP: {
+		INTERVAL: { key: 'backup_interval', default: 'off', type: 'string' }, // 'off' | 'daily' | 'weekly'
+		FORMAT: { key: 'backup_format', default: 'raw_json', type: 'string' },
+		RETENTION: { key: 'backup_retention', default: 5, type: 'number' },
+		LAST_RUN: { key: 'backup_last_run', default: null, type: 'string' }, // ISO timestamp of the last successful backup
+	},
 	BANNER_WATCHER: {
 		// Cache of org flags, refetched from /api/organizations on every poll — nothing to preserve.
 		STORED_FLAGS: { key: 'banner_stored_flags', default: {}, type: 'object', local: true },
@@ -24,6 +24,28 @@
 	const TAG_REGEX = new RegExp(`^\\[${EXPORT_TAG_PREFIX}([\\da-zA-Z_-]+)(?::(\\d+))?\\]$`);
 	const ATTACHMENT_DELIMITER_REGEX = /\n*=====ATTACHMENT_BEGIN: .+?=====\n[\s\S]*?\n=====ATTACHMENT_END=====/g;
 
+	// Format descriptors. `copyable` marks whether the format produces a plain
+	// string that can go to the clipboard (zip is binary/Blob, so it cannot).
+	// `singleOnly` formats need the user in the loop per conversation, so bulk skips them.
+	// `bulkOnly` formats only make sense merged across conversations, so single export skips them.
+	// `projectOnly` formats lay out a whole project, so they're offered for project bulk export only.
+	const ALL_EXPORT_FORMATS = [
+		{ value: 'html_html', label: 'HTML (.html)', copyable: true },
+		{ value: 'zip_zip', label: 'Zip (.zip)', copyable: false },
+		{ value: 'md_md', label: 'Markdown (.md)', copyable: true },
+		{ value: 'obsidian_zip', label: 'Obsidian vault (.zip)', copyable: false },
+		{ value: 'epub_epub', label: 'EPUB e-book (.epub)', copyable: false },
+		{ value: 'docx_docx', label: 'Word (.docx)', copyable: false },
+		{ value: 'code_zip', label: 'Code & artifacts (.zip)', copyable: false },
+		{ value: 'analytics_ndjson', label: 'Analytics dataset (.csv + .ndjson)', copyable: false, bulkOnly: true },
+		{ value: 'git_zip', label: 'Git repository layout (.zip)', copyable: false, bulkOnly: true, projectOnly: true },
+		{ value: 'pdf_pdf', label: 'PDF (print)', copyable: false, singleOnly: true },
+		{ value: 'txt_txt', label: 'Text (.txt)', copyable: true },
+		{ value: 'jsonl_jsonl', label: 'SillyTavern (.jsonl)', copyable: true },
+		{ value: 'librechat_json', label: 'Librechat (.json)', copyable: true },
+		{ value: 'raw_json', label: 'Anthropic JSON (.json)', copyable: true }
+	];
+
 	let bulkExportCancelled = false;
 
 	function makeUniqueFilename(filename, uuid) {
@@ -84,48 +106,93 @@
 		return output;
 	}
 
+	async function renderMdMessage(message, includeThinking, includeAttachments) {
+		const role = message.sender === ROLES.USER.apiName ? 'User' : 'Assistant';
+		let output = `### ${role}\n\n`;
+
+		for (const content of message.content) {
+			if (content.type === 'thinking') {
+				if (!includeThinking) continue;
+				// Use last summary if available, fallback to "Thinking"
+				let summaryText = 'Thinking';
+				if (content.summaries && content.summaries.length > 0) {
+					summaryText = content.summaries[content.summaries.length - 1].summary;
+				}
+				output += `<details>\n<summary>${summaryText}</summary>\n\n${content.thinking}\n\n</details>\n\n<br>\n\n`;
+			} else if (content.type === 'text') {
+				output += `${content.text}\n\n`;
+			}
+			// Skip all other content types (tool_use, tool_result, etc.)
+		}
+
+		if (includeAttachments) {
+			for (const file of message.files) {
+				if (file instanceof ClaudeAttachment) {
+					output += `<details>\n<summary>Attachment: ${file.file_name}</summary>\n\n${file.extracted_content}\n\n</details>\n\n`;
+				} else if (file instanceof ClaudeFile || file instanceof ClaudeCodeExecutionFile) {
+					try {
+						const blob = await file.download();
+						if (!blob) continue;
+						const wrapped = new File([blob], file.file_name);
+						if (!(await isLikelyTextFile(wrapped))) continue;
+						const text = await blob.text();
+						output += `<details>\n<summary>Attachment: ${file.file_name}</summary>\n\n${text}\n\n</details>\n\n`;
+					} catch (e) {
+						console.warn(`Failed to download file ${file.file_name} for markdown export:`, e);
+					}
+				}
+			}
+		}
+
+		return output;
+	}
+
 	async function formatMdExport(conversationData, messages, conversationId, includeThinking = true, includeAttachments = false) {
 		let output = `# ${conversationData.name}\n\n`;
 		if (conversationData.model) {
 			output += `**Model:** ${conversationData.model}\n\n`;
 		}
 
-		for (const message of messages) {
-			const role = message.sender === ROLES.USER.apiName ? 'User' : 'Assistant';
-			output += `### ${role}\n\n`;
+		const segments = buildBranchSegments(messages, conversationData.current_leaf_message_uuid);
+		if (segments.length <= 1) {
+			for (const message of messages) {
+				output += await renderMdMessage(message, includeThinking, includeAttachments);
+				output += `---\n\n`;
+			}
+			return output;
+		}
 
-			for (const content of message.content) {
-				if (content.type === 'thinking') {
-					if (!includeThinking) continue;
-					// Use last summary if available, fallback to "Thinking"
-					let summaryText = 'Thinking';
-					if (content.summaries && content.summaries.length > 0) {
-						summaryText = content.summaries[content.summaries.length - 1].summary;
-					}
-					output += `<details>\n<summary>${summaryText}</summary>\n\n${content.thinking}\n\n</details>\n\n<br>\n\n`;
-				} else if (content.type === 'text') {
-					output += `${content.text}\n\n`;
-				}
-				// Skip all other content types (tool_use, tool_result, etc.)
+		// Full tree: a branch index up top, then one section per segment. Explicit anchors rather
+		// than heading slugs, since renderers disagree on how "Branch 1.2" slugifies.
+		const anchor = (segment) => `branch-${segment.label.replace(/\./g, '-')}`;
+		const link = (segment) => `[Branch ${segment.label}](#${anchor(segment)})`;
+
+		output += `## Branches\n\n`;
+		for (const segment of segments) {
+			const depth = segment.label.split('.').length - 1;
+			const marker = segment.isCurrent && segment.children.length === 0 ? ' *(current)*' : '';
+			output += `${'  '.repeat(depth)}- ${link(segment)} - ${segment.messages.length} messages${marker}\n`;
+		}
+		output += `\n---\n\n`;
+
+		for (const segment of segments) {
+			output += `<a id="${anchor(segment)}"></a>\n\n## Branch ${segment.label}\n\n`;
+			if (segment.parent) {
+				const position = segment.parent.children.indexOf(segment) + 1;
+				output += `*Continues from ${link(segment.parent)} - alternative ${position} of ${segment.parent.children.length}*\n\n`;
 			}
 
-			if (includeAttachments) {
-				for (const file of message.files) {
-					if (file instanceof ClaudeAttachment) {
-						output += `<details>\n<summary>Attachment: ${file.file_name}</summary>\n\n${file.extracted_content}\n\n</details>\n\n`;
-					} else if (file instanceof ClaudeFile || file instanceof ClaudeCodeExecutionFile) {
-						try {
-							const blob = await file.download();
-							if (!blob) continue;
-							const wrapped = new File([blob], file.file_name);
-							if (!(await isLikelyTextFile(wrapped))) continue;
-							const text = await blob.text();
-							output += `<details>\n<summary>Attachment: ${file.file_name}</summary>\n\n${text}\n\n</details>\n\n`;
-						} catch (e) {
-							console.warn(`Failed to download file ${file.file_name} for markdown export:`, e);
-						}
-					}
+			for (const message of segment.messages) {
+				output += await renderMdMessage(message, includeThinking, includeAttachments);
+			}
+
+			if (segment.children.length > 0) {
+				output += `**Fork point** - ${segment.children.length} continuations:\n\n`;
+				for (const child of segment.children) {
+					const preview = ClaudeConversation.extractMessageText(child.messages[0]).replace(/\s+/g, ' ').trim().slice(0, 80);
+					output += `- ${link(child)}${preview ? ` - ${preview}` : ''}\n`;
 				}
+				output += `\n`;
 			}
 
 			output += `---\n\n`;
@@ -134,182 +201,1251 @@
 		return output;
 	}
 
-	// SillyTavern chat file: JSONL, first line a header, one message per line after it.
-	// Field names follow SillyTavern's own writer. Its importer copies the file verbatim into the
-	// character's chat folder, so the shape has to be right on the way out - it only checks that the
-	// header carries user_name, name or chat_metadata, and rejects the file outright otherwise.
-	// No BOM either: it runs JSON.parse on the first line, which throws on a leading U+FEFF.
-	function formatJsonlExport(conversationData, messages, conversationId) {
-		const header = {
-			user_name: ROLES.USER.tavernName,
-			character_name: ROLES.ASSISTANT.tavernName,
-			create_date: humanizedDateTime(conversationData.created_at),
-			chat_metadata: {}
+	// The selected branch, whether handed the whole tree or just the branch already. Falls back to
+	// the messages as given when the leaf isn't among them (e.g. an archived copy without one).
+	function currentBranchOf(conversationData, messages) {
+		const messageMap = new Map(messages.map(m => [m.uuid, m]));
+		const branch = [];
+		let walkId = conversationData.current_leaf_message_uuid;
+		while (walkId && walkId !== ROOT_MESSAGE_UUID && messageMap.has(walkId)) {
+			branch.push(messageMap.get(walkId));
+			walkId = messageMap.get(walkId).parent_message_uuid;
+		}
+		return branch.length ? branch.reverse() : messages;
+	}
+
+	// The path between two messages as a standalone conversation: the upper one becomes a root and
+	// the lower one the current leaf, so every format sees a plain linear chat. Either order works.
+	function sliceMessageRange(conversationData, messages, fromUuid, toUuid) {
+		if (!fromUuid || !toUuid) throw new Error('Pick the first and last message of the range.');
+		const messageMap = new Map(messages.map(m => [m.uuid, m]));
+		const pathBetween = (top, bottom) => {
+			const path = [];
+			let walkId = bottom;
+			while (walkId && walkId !== ROOT_MESSAGE_UUID && messageMap.has(walkId)) {
+				path.push(messageMap.get(walkId));
+				if (walkId === top) return path.reverse();
+				walkId = messageMap.get(walkId).parent_message_uuid;
+			}
+			return null;
 		};
 
-		const lines = messages.map(msg => {
-			const isUser = msg.sender === ROLES.USER.apiName;
-			const text = ClaudeConversation.extractMessageText(msg);
+		const slice = pathBetween(fromUuid, toUuid) || pathBetween(toUuid, fromUuid);
+		if (!slice) {
+			throw new Error('The two messages are on different branches. Pick messages where one leads to the other.');
+		}
 
-			// Always carried: SillyTavern renders extra.reasoning as a collapsed block separate from
-			// the message body, so it costs nothing the way inlined thinking does in markdown.
-			const extra = {};
-			const reasoning = msg.content
-				.filter(c => c.type === 'thinking')
-				.map(c => c.thinking || '')
-				.filter(Boolean)
-				.join('\n');
-			if (reasoning) {
-				extra.reasoning = reasoning;
-				extra.reasoning_type = 'model';
-			}
+		// Re-root a copy - the slice holds the caller's messages, which still belong to the full tree
+		const first = slice[0];
+		const rootedFirst = ClaudeMessage.fromHistoryJSON(first.conversation, { ...first.toHistoryJSON(), parent_message_uuid: ROOT_MESSAGE_UUID });
+		const uuids = new Set(slice.map(m => m.uuid));
+		return {
+			conversationData: {
+				...conversationData,
+				current_leaf_message_uuid: slice[slice.length - 1].uuid,
+				chat_messages: (conversationData.chat_messages || [])
+					.filter(m => uuids.has(m.uuid))
+					.map(m => m.uuid === first.uuid ? { ...m, parent_message_uuid: ROOT_MESSAGE_UUID } : m)
+			},
+			messages: [rootedFirst, ...slice.slice(1)]
+		};
+	}
 
-			const isoTimestamp = msg.created_at || msg.updated_at;
-			const sendDate = isoTimestamp ? new Date(isoTimestamp) : new Date();
+	// Splits messages into branch segments: maximal runs where every message has exactly one
+	// child. A linear branch comes back as a single segment; a tree gets one per continuation of
+	// each fork point, labelled by position ("1", "1.2", "1.2.1") so siblings can be told apart.
+	function buildBranchSegments(messages, currentLeafUuid) {
+		const messageMap = new Map(messages.map(m => [m.uuid, m]));
+		const childrenOf = new Map();
+		const roots = [];
+		for (const msg of messages) {
+			if (!messageMap.has(msg.parent_message_uuid)) {
+				roots.push(msg);
+				continue;
+			}
+			if (!childrenOf.has(msg.parent_message_uuid)) childrenOf.set(msg.parent_message_uuid, []);
+			childrenOf.get(msg.parent_message_uuid).push(msg);
+		}
 
-			return {
-				name: isUser ? ROLES.USER.tavernName : ROLES.ASSISTANT.tavernName,
-				is_user: isUser,
-				is_system: false,
-				send_date: (isNaN(sendDate.getTime()) ? new Date() : sendDate).toISOString(),
-				mes: text,
-				// A SillyTavern swipe is alternate text for one message, not a branch: the messages
-				// after it stay put. Our regenerations are real subtrees, so they cannot round-trip
-				// as swipes; we export the same single path the other formats do.
-				swipe_id: 0,
-				swipes: [text],
-				extra
-			};
-		});
+		const currentPath = new Set();
+		let walkId = currentLeafUuid;
+		while (walkId && messageMap.has(walkId)) {
+			currentPath.add(walkId);
+			walkId = messageMap.get(walkId).parent_message_uuid;
+		}
 
-		return [header, ...lines].map(entry => JSON.stringify(entry)).join('\n') + '\n';
+		const segments = [];
+		const walk = (start, label, parent) => {
+			const segment = { label, messages: [], parent, children: [], isCurrent: currentPath.has(start.uuid) };
+			segments.push(segment);
+			let current = start;
+			while (true) {
+				segment.messages.push(current);
+				const children = childrenOf.get(current.uuid) || [];
+				if (children.length !== 1) {
+					children.forEach((child, i) => segment.children.push(walk(child, `${label}.${i + 1}`, segment)));
+					break;
+				}
+				current = children[0];
+			}
+			return segment;
+		};
+		roots.forEach((root, i) => walk(root, String(i + 1), null));
+		return segments;
 	}
 
-	//#region Tool call helpers (shared by the LibreChat and HTML exports)
+	//#region Obsidian vault export
+	// Wiki-links break on []|#^ and the filesystem on the usual suspects, so note and asset
+	// names are scrubbed of both.
+	function sanitizeNoteName(name) {
+		return (name || 'untitled').replace(/[<>:"/\\|?*#^[\]]/g, '_').trim() || 'untitled';
+	}
 
-	// Claude emits a tool_use and its tool_result as sibling blocks in the same message, so results
-	// pair up by id without having to look at neighbouring messages.
-	function mapToolResultsById(content) {
-		const byId = new Map();
-		for (const item of content || []) {
-			if (item.type === 'tool_result' && item.tool_use_id) {
-				byId.set(item.tool_use_id, item);
+	// JSON strings are valid YAML scalars, which saves us hand-rolling YAML escaping.
+	function buildFrontmatter(fields) {
+		let output = '---\n';
+		for (const [key, value] of Object.entries(fields)) {
+			if (value === undefined || value === null || value === '') continue;
+			if (Array.isArray(value)) {
+				output += `${key}:\n${value.map(v => `  - ${JSON.stringify(String(v))}`).join('\n')}\n`;
+			} else {
+				output += `${key}: ${JSON.stringify(String(value))}\n`;
 			}
 		}
-		return byId;
+		return output + '---\n\n';
 	}
 
-	function blobToDataUri(blob) {
-		return new Promise((resolve, reject) => {
-			const reader = new FileReader();
-			reader.onloadend = () => resolve(reader.result);
-			reader.onerror = () => reject(reader.error || new Error('Failed to read blob'));
-			reader.readAsDataURL(blob);
-		});
-	}
+	function renderObsidianMessage(message, includeThinking, assetNames) {
+		const role = message.sender === ROLES.USER.apiName ? 'User' : 'Assistant';
+		let output = `### ${role}\n\n`;
 
-	// Resolves to null rather than throwing — callers treat unknown dimensions as "not renderable"
-	// instead of failing the whole export.
-	function getImageSize(blob) {
-		return new Promise((resolve) => {
-			const url = URL.createObjectURL(blob);
-			const img = new Image();
-			img.onload = () => {
-				const size = { width: img.naturalWidth, height: img.naturalHeight };
-				URL.revokeObjectURL(url);
-				resolve(size.width && size.height ? size : null);
-			};
-			img.onerror = () => {
-				URL.revokeObjectURL(url);
-				resolve(null);
-			};
-			img.src = url;
-		});
+		for (const content of message.content) {
+			if (content.type === 'thinking') {
+				if (!includeThinking) continue;
+				let summaryText = 'Thinking';
+				if (content.summaries && content.summaries.length > 0) {
+					summaryText = content.summaries[content.summaries.length - 1].summary;
+				}
+				// Collapsed callout; every line has to carry the quote marker to stay inside it
+				const body = (content.thinking || '').split('\n').map(line => `> ${line}`).join('\n');
+				output += `> [!abstract]- ${summaryText}\n${body}\n\n`;
+			} else if (content.type === 'text') {
+				output += `${content.text}\n\n`;
+			}
+		}
+
+		const links = message.files
+			.filter(f => assetNames.has(f))
+			.map(f => {
+				const assetName = assetNames.get(f);
+				return f.file_kind === 'image' ? `![[${assetName}]]` : `[[${assetName}]]`;
+			});
+		if (links.length > 0) {
+			output += `${links.join('\n')}\n\n`;
+		}
+
+		return output;
 	}
 
-	// Tool-generated images never appear in msg.files (that only carries user uploads), so the
-	// file_uuid on the tool_result is the only handle we get. /preview is the sole endpoint that
-	// serves them — the bare file URL and the usual /document, /content and /download variants all
-	// 404 — and it re-encodes to webp regardless of what the tool originally produced, so callers
-	// should trust the returned mimeType over any filename the tool declared.
-	async function downloadGeneratedImage(orgId, fileUuid) {
-		const file = new ClaudeFile({
-			file_uuid: fileUuid,
-			file_name: fileUuid,
-			file_kind: 'image',
-			preview_url: `https://claude.ai/api/${orgId}/files/${fileUuid}/preview`
-		});
+	// A folder per conversation holding an index note, one note per branch segment and an assets/
+	// folder. Note names carry a slice of the conversation uuid: wiki-links resolve by basename
+	// across the whole vault, and a project export puts many conversations side by side.
+	async function formatObsidianExport(conversationData, messages, conversationId, options = {}, loadingModal) {
+		const zip = new JSZip();
+		const includeThinking = options.includeThinking ?? true;
+		const title = conversationData.name || 'Untitled Conversation';
+		const baseName = `${sanitizeNoteName(title)} (${conversationId.slice(0, 8)})`;
+		const folder = `${baseName}/`;
+		const segments = buildBranchSegments(messages, conversationData.current_leaf_message_uuid);
+		const noteName = (segment) => `${baseName} - Branch ${segment.label}`;
+
+		// Assets first, so the notes know which files actually made it into the vault
+		const assetNames = new Map();
+		const downloadable = messages.flatMap(msg =>
+			msg.files.filter(f =>
+				(f instanceof ClaudeFile || f instanceof ClaudeCodeExecutionFile) &&
+				f.getDownloadUrl()
+			)
+		);
+		for (let i = 0; i < downloadable.length; i++) {
+			const file = downloadable[i];
+			if (loadingModal) {
+				loadingModal.setContent(createLoadingContent(`Downloading file ${i + 1}/${downloadable.length}: ${file.file_name}`));
+			}
+			try {
+				const blob = await file.download();
+				if (!blob) continue;
+				const assetName = buildZipFilename(file.file_uuid.slice(0, 8), sanitizeNoteName(file.file_name));
+				await addToZip(zip, `${folder}assets/${assetName}`, blob);
+				assetNames.set(file, assetName);
+				if (i < downloadable.length - 1) {
+					await new Promise(r => setTimeout(r, 200));
+				}
+			} catch (error) {
+				console.log(`Failed to download ${file.file_name}:`, error);
+			}
+		}
 
-		const blob = await file.download();
-		if (!blob) return null;
+		for (const message of messages) {
+			for (const attachment of message.files.filter(f => f instanceof ClaudeAttachment)) {
+				const assetName = buildZipFilename(crypto.randomUUID().slice(0, 8), sanitizeNoteName(attachment.file_name));
+				await addToZip(zip, `${folder}assets/${assetName}`, attachment.extracted_content || '');
+				assetNames.set(attachment, assetName);
+			}
+		}
 
-		return {
-			blob,
-			mimeType: (blob.type || '').split(';')[0].trim(),
-			dataUri: await blobToDataUri(blob),
-			size: await getImageSize(blob)
-		};
+		const baseTags = ['claude'];
+		for (const segment of segments) {
+			const first = segment.messages[0];
+			const last = segment.messages[segment.messages.length - 1];
+			const tags = segment.parent ? [...baseTags, 'claude/branch'] : baseTags;
+
+			let note = buildFrontmatter({
+				title: `${title} - Branch ${segment.label}`,
+				conversation: conversationId,
+				branch: segment.label,
+				model: last.model || conversationData.model,
+				created_at: first.created_at,
+				updated_at: last.created_at,
+				current: segment.isCurrent ? 'true' : null,
+				tags
+			});
+
+			note += `Conversation: [[${baseName}]]\n`;
+			if (segment.parent) {
+				note += `Continues from: [[${noteName(segment.parent)}]]\n`;
+			}
+			note += '\n';
+
+			for (const message of segment.messages) {
+				note += renderObsidianMessage(message, includeThinking, assetNames);
+			}
+
+			if (segment.children.length > 0) {
+				note += `---\n\n**Continues in:**\n`;
+				for (const child of segment.children) {
+					const preview = ClaudeConversation.extractMessageText(child.messages[0]).replace(/\s+/g, ' ').trim().slice(0, 80);
+					note += `- [[${noteName(child)}]]${preview ? ` - ${preview}` : ''}\n`;
+				}
+			}
+
+			await addToZip(zip, `${folder}${noteName(segment)}.md`, note);
+		}
+
+		// Index note: conversation-level frontmatter plus the branch outline
+		let index = buildFrontmatter({
+			title,
+			conversation: conversationId,
+			model: conversationData.model,
+			created_at: conversationData.created_at,
+			updated_at: conversationData.updated_at,
+			tags: baseTags
+		});
+		index += `# ${title}\n\n`;
+		for (const segment of segments) {
+			const depth = segment.label.split('.').length - 1;
+			const marker = segment.isCurrent && segment.children.length === 0 ? ' (current)' : '';
+			index += `${'  '.repeat(depth)}- [[${noteName(segment)}]] - ${segment.messages.length} messages${marker}\n`;
+		}
+		await addToZip(zip, `${folder}${baseName}.md`, index);
+
+		return await zip.generateAsync({ type: 'blob' });
 	}
 	//#endregion
 
-	//#region LibreChat tool calls
+	//#region EPUB export
+	// EPUB 3 with an EPUB 2 toc.ncx alongside, since plenty of e-readers still only read the
+	// latter. Chapters are XHTML, so marked's HTML goes through DOMParser/XMLSerializer to come
+	// out well-formed (closed <br/>, <img/>, escaped entities).
+	const EPUB_STYLES = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1 { font-size: 1.6em; margin: 1em 0; }
+.turn { margin: 0 0 1.2em; }
+.speaker { font-family: sans-serif; font-size: 0.8em; font-weight: bold; text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 0.3em; }
+.turn-user .speaker { color: #555; }
+.turn-user .body { font-style: italic; }
+.thinking { font-size: 0.85em; color: #666; border-left: 2px solid #ccc; margin: 0 0 0.8em; padding-left: 0.8em; }
+pre { white-space: pre-wrap; font-size: 0.85em; background: #f4f4f4; padding: 0.5em; }
+code { font-family: monospace; }
+img { max-width: 100%; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #999; padding: 0.2em 0.4em; }`;
+
+	function xmlEsc(str) {
+		return String(str ?? '')
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
 
-	// LibreChat hard-codes these tool names to purpose-built renderers that read from their own
-	// context/schema instead of the tool call's `output` string (see Part.tsx). A Claude tool that
-	// happens to share a name would render as an empty card, so it gets suffixed instead.
-	const LIBRECHAT_RESERVED_TOOL_NAMES = new Set([
-		'web_search', 'bash_tool', 'read_file', 'create_file', 'edit_file',
-		'file_search', 'retrieval', 'skill', 'subagent', 'execute_code'
-	]);
+	function markdownToXhtml(markdown) {
+		const doc = new DOMParser().parseFromString(
+			`<div>${marked.parse(markdown || '', { breaks: true, gfm: true })}</div>`, 'text/html'
+		);
+		doc.querySelectorAll('script, style, iframe, object, embed').forEach(el => el.remove());
+		// Serialised from inside the wrapper so the namespace is declared once, not per element
+		const wrapper = doc.body.firstElementChild;
+		return new XMLSerializer().serializeToString(wrapper);
+	}
 
-	// Model providers conventionally constrain tool names to [A-Za-z0-9_-], and Claude's MCP server
-	// names can carry spaces and parens ("ComfyUI (Remote)"). Collapse each RUN of anything else to
-	// a single '-'; collapsing rather than substituting per character matters because LibreChat
-	// rewrites '---' to '.' when it renders the server name, and a per-character swap would emit
-	// that run for a name like "ComfyUI (Remote)".
-	function normalizeToolNamePart(part) {
-		return part.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+	function wrapXhtml(title, body, lang) {
+		return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${xmlEsc(lang)}" lang="${xmlEsc(lang)}">
+<head><meta charset="UTF-8"/><title>${xmlEsc(title)}</title><link rel="stylesheet" type="text/css" href="../style.css"/></head>
+<body>
+${body}
+</body>
+</html>`;
 	}
 
-	// LibreChat names MCP tools `${tool}_mcp_${server}` (its mcp_delimiter is '_mcp_'); Claude names
-	// them `Server:tool`. Translating gets us LibreChat's MCP chip and server icon, and the result
-	// can never collide with the reserved names above.
-	function toLibrechatToolName(name) {
-		const sep = name.indexOf(':');
-		if (sep > 0 && sep < name.length - 1) {
-			return `${normalizeToolNamePart(name.slice(sep + 1))}_mcp_${normalizeToolNamePart(name.slice(0, sep))}`;
+	// Either a chapter per `size` exchanges (an exchange being one user turn and everything after
+	// it), or one per bookmark on the branch, ending at the bookmarked message and named after it.
+	function splitIntoChapters(branch, mode, size, bookmarks) {
+		const byUuid = new Map();
+		for (const [name, uuid] of Object.entries(bookmarks || {})) byUuid.set(uuid, name);
+		const useBookmarks = mode === 'bookmarks' && branch.some(msg => byUuid.has(msg.uuid));
+
+		const chapters = [];
+		let current = [];
+		let exchanges = 0;
+		const close = (title) => {
+			if (!current.length) return;
+			chapters.push({ title: title || `Chapter ${chapters.length + 1}`, messages: current });
+			current = [];
+			exchanges = 0;
+		};
+
+		for (const msg of branch) {
+			if (!useBookmarks && msg.sender === ROLES.USER.apiName) {
+				if (exchanges === size) close();
+				exchanges++;
+			}
+			current.push(msg);
+			if (useBookmarks && byUuid.has(msg.uuid)) close(byUuid.get(msg.uuid));
 		}
-		const normalized = normalizeToolNamePart(name);
-		return LIBRECHAT_RESERVED_TOOL_NAMES.has(normalized) ? `${normalized}_claude` : normalized;
+		close();
+		return chapters;
 	}
 
-	// Claude stores web_search/web_fetch results as `knowledge` stubs — title, url and favicon
-	// metadata, but never the retrieved page text — so there is nothing faithful to export for them.
-	// Gating on the content types we can actually represent (rather than a tool-name blocklist)
-	// drops those automatically and degrades correctly for tools we haven't seen yet.
-	function isExportableToolResult(result) {
-		return (result?.content || []).some(item => item.type === 'text' || item.type === 'image');
-	}
+	async function formatEpubExport(conversationData, messages, conversationId, options = {}, loadingModal = null) {
+		const includeThinking = options.includeThinking ?? false;
+		const includeImages = options.includeImages ?? true;
+		const chapterSize = Math.max(1, parseInt(options.chapterSize, 10) || 10);
+		const title = conversationData.name || 'Untitled Conversation';
+		const lang = getLocale();
 
-	// LibreChat only renders an image inline when its filename carries one of these extensions
-	// (its imageExtRegex). Anything outside the set degrades to a download chip no matter what we
-	// do, so an unexpected format is better skipped than mislabelled.
-	const LIBRECHAT_IMAGE_EXTENSIONS = {
-		'image/jpeg': 'jpg',
-		'image/png': 'png',
-		'image/gif': 'gif',
-		'image/webp': 'webp',
-		'image/heic': 'heic',
-		'image/heif': 'heif'
-	};
+		const branch = currentBranchOf(conversationData, messages);
 
-	// The filename is derived from the bytes we actually received rather than any name the tool
-	// declared, since /preview re-encodes (see downloadGeneratedImage).
-	async function buildGeneratedImageAttachment(orgId, fileUuid, toolCallId, messageId, conversationId) {
-		const image = await downloadGeneratedImage(orgId, fileUuid);
-		if (!image) return null;
+		const allBookmarks = options.chapterMode === 'bookmarks'
+			? await settingsRegistry.get(SETTINGS_KEYS.NAVIGATION.BOOKMARKS)
+			: {};
+		const chapters = splitIntoChapters(branch, options.chapterMode, chapterSize, allBookmarks[conversationId]);
 
-		// LibreChat needs the filename extension, width, height and filepath ALL present to render
+		const zip = new JSZip();
+		// Must be the first entry and stored uncompressed, or readers refuse the file
+		zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+		zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+		zip.file('OEBPS/style.css', EPUB_STYLES);
+
+		const manifestItems = [];
+		const images = new Map();
+		if (includeImages) {
+			const imageFiles = branch.flatMap(msg =>
+				msg.files.filter(f => f instanceof ClaudeFile && f.file_kind === 'image' && f.getDownloadUrl())
+			);
+			for (let i = 0; i < imageFiles.length; i++) {
+				const file = imageFiles[i];
+				loadingModal?.setContent(createLoadingContent(`Downloading image ${i + 1}/${imageFiles.length}: ${file.file_name}`));
+				try {
+					const blob = await file.download();
+					if (!blob) continue;
+					const mediaType = blob.type && blob.type.startsWith('image/') ? blob.type : 'image/png';
+					const extension = mediaType.split('/')[1].replace('jpeg', 'jpg').replace(/\+.*$/, '');
+					const href = `images/image-${images.size + 1}.${extension}`;
+					zip.file(`OEBPS/${href}`, blob);
+					images.set(file, href);
+					manifestItems.push(`<item id="img${images.size}" href="${href}" media-type="${mediaType}"/>`);
+					if (i < imageFiles.length - 1) await new Promise(r => setTimeout(r, 200));
+				} catch (error) {
+					console.warn(`[Exporter] Failed to download image ${file.file_name} for EPUB:`, error);
+				}
+			}
+		}
+
+		const chapterFiles = [];
+		for (let c = 0; c < chapters.length; c++) {
+			const chapter = chapters[c];
+			let body = `<section epub:type="chapter"><h1>${xmlEsc(chapter.title)}</h1>\n`;
+			for (const message of chapter.messages) {
+				const isUser = message.sender === ROLES.USER.apiName;
+				body += `<div class="turn ${isUser ? 'turn-user' : 'turn-assistant'}"><p class="speaker">${isUser ? 'User' : 'Assistant'}</p><div class="body">`;
+				for (const content of message.content) {
+					if (content.type === 'thinking' && includeThinking) {
+						body += `<div class="thinking">${markdownToXhtml(content.thinking)}</div>`;
+					} else if (content.type === 'text') {
+						body += markdownToXhtml(content.text);
+					}
+				}
+				for (const file of message.files) {
+					if (images.has(file)) {
+						body += `<p><img src="../${images.get(file)}" alt="${xmlEsc(file.file_name)}"/></p>`;
+					}
+				}
+				body += `</div></div>\n`;
+			}
+			body += `</section>`;
+
+			const href = `text/chapter-${String(c + 1).padStart(3, '0')}.xhtml`;
+			zip.file(`OEBPS/${href}`, wrapXhtml(chapter.title, body, lang));
+			chapterFiles.push({ id: `ch${c + 1}`, href, title: chapter.title });
+			manifestItems.push(`<item id="ch${c + 1}" href="${href}" media-type="application/xhtml+xml"/>`);
+		}
+
+		const navList = chapterFiles.map(ch => `<li><a href="${ch.href}">${xmlEsc(ch.title)}</a></li>`).join('\n');
+		zip.file('OEBPS/nav.xhtml', wrapXhtml('Contents',
+			`<nav epub:type="toc" id="toc"><h1>Contents</h1><ol>\n${navList}\n</ol></nav>`, lang
+		).replace('href="../style.css"', 'href="style.css"'));
+
+		const uid = `urn:uuid:${conversationId}`;
+		const navPoints = chapterFiles.map((ch, i) =>
+			`<navPoint id="np${i + 1}" playOrder="${i + 1}"><navLabel><text>${xmlEsc(ch.title)}</text></navLabel><content src="${ch.href}"/></navPoint>`
+		).join('\n');
+		zip.file('OEBPS/toc.ncx', `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head><meta name="dtb:uid" content="${uid}"/></head>
+<docTitle><text>${xmlEsc(title)}</text></docTitle>
+<navMap>
+${navPoints}
+</navMap>
+</ncx>`);
+
+		// dcterms:modified must be second-precision UTC with no milliseconds
+		const modified = new Date(conversationData.updated_at || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z');
+		const spine = chapterFiles.map(ch => `<itemref idref="${ch.id}"/>`).join('\n');
+		zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="uid" xml:lang="${xmlEsc(lang)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="uid">${uid}</dc:identifier>
+<dc:title>${xmlEsc(title)}</dc:title>
+<dc:language>${xmlEsc(lang)}</dc:language>
+<dc:creator>User &amp; Claude</dc:creator>
+<dc:publisher>claude.ai</dc:publisher>
+${conversationData.created_at ? `<dc:date>${xmlEsc(conversationData.created_at)}</dc:date>` : ''}
+${conversationData.model ? `<dc:description>Model: ${xmlEsc(conversationData.model)}</dc:description>` : ''}
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="css" href="style.css" media-type="text/css"/>
+${manifestItems.join('\n')}
+</manifest>
+<spine toc="ncx">
+${spine}
+</spine>
+</package>`);
+
+		return await zip.generateAsync({ type: 'blob', mimeType: 'application/epub+zip', compression: 'DEFLATE' });
+	}
+	//#endregion
+
+	//#region DOCX export
+	// WordprocessingML written by hand into a JSZip package. Message text goes through marked's
+	// lexer rather than its HTML output, so each token maps straight onto a Word construct:
+	// headings to Heading styles, lists to numbering, tables to w:tbl, code to a monospace style.
+	const DOCX_MAX_IMAGE_WIDTH_EMU = 5486400; // 6in, inside the default page margins
+	const DOCX_EMU_PER_PX = 9525;
+
+	// Strips characters XML 1.0 cannot carry at all, then escapes the rest
+	function docxEsc(str) {
+		return xmlEsc(String(str ?? '').replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, ''));
+	}
+
+	function docxRun(text, format = {}) {
+		const props = [];
+		if (format.style) props.push(`<w:rStyle w:val="${format.style}"/>`);
+		if (format.bold) props.push('<w:b/>');
+		if (format.italic) props.push('<w:i/>');
+		if (format.strike) props.push('<w:strike/>');
+		const rPr = props.length ? `<w:rPr>${props.join('')}</w:rPr>` : '';
+		return String(text).replace(/\t/g, '    ').split('\n')
+			.map(line => `<w:r>${rPr}<w:t xml:space="preserve">${docxEsc(line)}</w:t></w:r>`)
+			.join(`<w:r>${rPr}<w:br/></w:r>`);
+	}
+
+	// Properties go out in CT_PPr schema order (pStyle, numPr, pBdr, ind, jc) - Word rejects
+	// a document where they don't. `extra` sits where w:pBdr belongs.
+	function docxParagraph(runs, { style = null, numId = null, level = 0, extra = '', indent = null, align = null } = {}) {
+		const props = [];
+		if (style) props.push(`<w:pStyle w:val="${style}"/>`);
+		if (numId !== null) props.push(`<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`);
+		if (extra) props.push(extra);
+		if (indent !== null) props.push(`<w:ind w:left="${indent}"/>`);
+		if (align) props.push(`<w:jc w:val="${align}"/>`);
+		return `<w:p>${props.length ? `<w:pPr>${props.join('')}</w:pPr>` : ''}${runs}</w:p>`;
+	}
+
+	function renderDocxInline(tokens, ctx, format = {}) {
+		let output = '';
+		for (const token of tokens || []) {
+			switch (token.type) {
+				case 'strong':
+					output += renderDocxInline(token.tokens, ctx, { ...format, bold: true });
+					break;
+				case 'em':
+					output += renderDocxInline(token.tokens, ctx, { ...format, italic: true });
+					break;
+				case 'del':
+					output += renderDocxInline(token.tokens, ctx, { ...format, strike: true });
+					break;
+				case 'codespan':
+					output += docxRun(token.text, { ...format, style: 'InlineCode' });
+					break;
+				case 'br':
+					output += '<w:r><w:br/></w:r>';
+					break;
+				case 'link': {
+					const inner = renderDocxInline(token.tokens, ctx, { ...format, style: 'Hyperlink' });
+					if (/^(https?:|mailto:)/i.test(token.href || '')) {
+						const relId = ctx.addRel('http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink', token.href, true);
+						output += `<w:hyperlink r:id="${relId}">${inner}</w:hyperlink>`;
+					} else {
+						output += inner;
+					}
+					break;
+				}
+				case 'image':
+					output += docxRun(token.text || token.href, { ...format, italic: true });
+					break;
+				case 'text':
+					output += token.tokens ? renderDocxInline(token.tokens, ctx, format) : docxRun(token.text, format);
+					break;
+				default:
+					// escape, html, and anything newer marked may emit
+					output += docxRun(token.text ?? token.raw ?? '', format);
+			}
+		}
+		return output;
+	}
+
+	// `indent` (twips) places blocks under a list item without numbering them
+	function renderDocxBlocks(tokens, ctx, bodyStyle, listLevel = 0, indent = null) {
+		let output = '';
+		for (const token of tokens || []) {
+			switch (token.type) {
+				case 'heading':
+					output += docxParagraph(renderDocxInline(token.tokens, ctx), { style: `Heading${Math.min(token.depth, 6)}`, indent });
+					break;
+				case 'paragraph':
+				case 'text':
+					output += docxParagraph(
+						token.tokens ? renderDocxInline(token.tokens, ctx) : docxRun(token.text),
+						{ style: bodyStyle, indent }
+					);
+					break;
+				case 'code':
+					for (const line of token.text.split('\n')) {
+						output += docxParagraph(docxRun(line), { style: 'CodeBlock', indent });
+					}
+					break;
+				case 'blockquote':
+					output += renderDocxBlocks(token.tokens, ctx, 'Quote', listLevel, indent);
+					break;
+				case 'hr':
+					output += docxParagraph('', { extra: '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="999999"/></w:pBdr>', indent });
+					break;
+				case 'list':
+					output += renderDocxList(token, ctx, listLevel);
+					break;
+				case 'table':
+					output += renderDocxTable(token, ctx, indent);
+					break;
+				case 'space':
+					break;
+				default:
+					if (token.text) output += docxParagraph(docxRun(token.text), { style: bodyStyle, indent });
+			}
+		}
+		return output;
+	}
+
+	// Every ordered list gets its own w:num so numbering restarts; bullets share one
+	function renderDocxList(list, ctx, level) {
+		const numId = list.ordered ? ctx.addOrderedList(Number(list.start) || 1) : 1;
+		let output = '';
+		for (const item of list.items) {
+			let numbered = false;
+			for (const token of item.tokens) {
+				if (token.type === 'list') {
+					output += renderDocxList(token, ctx, Math.min(level + 1, 8));
+					continue;
+				}
+				if ((token.type === 'text' || token.type === 'paragraph') && !numbered) {
+					const checkbox = item.task ? docxRun(item.checked ? '☑ ' : '☐ ') : '';
+					const runs = token.tokens ? renderDocxInline(token.tokens, ctx) : docxRun(token.text);
+					output += docxParagraph(checkbox + runs, { style: 'ListParagraph', numId, level });
+					numbered = true;
+					continue;
+				}
+				// Continuation paragraphs and nested blocks stay under the item
+				output += renderDocxBlocks([token], ctx, 'ListParagraph', level, 720 * (level + 1));
+			}
+		}
+		return output;
+	}
+
+	function renderDocxTable(table, ctx, indent = null) {
+		const jc = (align) => align ? (align === 'center' ? 'center' : align === 'right' ? 'right' : 'left') : null;
+		const cell = (c, header) => {
+			const runs = renderDocxInline(c.tokens, ctx, header ? { bold: true } : {});
+			return `<w:tc>${docxParagraph(runs, { align: jc(c.align) })}</w:tc>`;
+		};
+		const grid = table.header.map(() => '<w:gridCol/>').join('');
+		// A table under a list item moves as a whole (w:tblInd), its cells stay unindented
+		const tblInd = indent !== null ? `<w:tblInd w:w="${indent}" w:type="dxa"/>` : '';
+		let output = `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/>${tblInd}</w:tblPr><w:tblGrid>${grid}</w:tblGrid>`;
+		output += `<w:tr><w:trPr><w:tblHeader/></w:trPr>${table.header.map(c => cell(c, true)).join('')}</w:tr>`;
+		for (const row of table.rows) {
+			output += `<w:tr>${row.map(c => cell(c, false)).join('')}</w:tr>`;
+		}
+		// Word merges a table into a directly following one, so always close with a paragraph
+		return output + '</w:tbl>' + docxParagraph('', { indent });
+	}
+
+	function docxImageRun(relId, id, name, widthEmu, heightEmu) {
+		return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+			`<wp:extent cx="${widthEmu}" cy="${heightEmu}"/><wp:docPr id="${id}" name="Picture ${id}"/>` +
+			`<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">` +
+			`<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">` +
+			`<pic:nvPicPr><pic:cNvPr id="${id}" name="${docxEsc(name)}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+			`<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+			`<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${widthEmu}" cy="${heightEmu}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+			`</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+	}
+
+	const DOCX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="240"/></w:pPr><w:rPr><w:sz w:val="48"/></w:rPr></w:style>
+${[1, 2, 3, 4, 5, 6].map(n => `<w:style w:type="paragraph" w:styleId="Heading${n}"><w:name w:val="heading ${n}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${n - 1}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${[32, 28, 26, 24, 22, 22][n - 1]}"/></w:rPr></w:style>`).join('\n')}
+<w:style w:type="paragraph" w:styleId="UserLabel"><w:name w:val="User Label"/><w:basedOn w:val="Normal"/><w:next w:val="UserText"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="60"/></w:pPr><w:rPr><w:b/><w:caps/><w:color w:val="1F4E79"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="AssistantLabel"><w:name w:val="Assistant Label"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="360" w:after="60"/></w:pPr><w:rPr><w:b/><w:caps/><w:color w:val="C55A11"/><w:sz w:val="18"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="UserText"><w:name w:val="User Text"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="EEF3F8"/><w:ind w:left="144" w:right="144"/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="Thinking"><w:name w:val="Thinking"/><w:basedOn w:val="Normal"/><w:pPr><w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="BFBFBF"/></w:pBdr><w:ind w:left="360"/></w:pPr><w:rPr><w:i/><w:color w:val="7F7F7F"/><w:sz w:val="20"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720"/></w:pPr><w:rPr><w:i/><w:color w:val="595959"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="40"/><w:contextualSpacing/></w:pPr></w:style>
+<w:style w:type="paragraph" w:styleId="CodeBlock"><w:name w:val="Code Block"/><w:basedOn w:val="Normal"/><w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="InlineCode"><w:name w:val="Inline Code"/><w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/></w:rPr></w:style>
+<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="A6A6A6"/>`).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>
+</w:styles>`;
+
+	function buildDocxNumbering(orderedLists) {
+		const levels = (format, text) => Array.from({ length: 9 }, (_, lvl) =>
+			`<w:lvl w:ilvl="${lvl}"><w:start w:val="1"/><w:numFmt w:val="${format(lvl)}"/><w:lvlText w:val="${text(lvl)}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (lvl + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+		).join('');
+		const bullets = ['•', '◦', '▪'];
+		let output = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels(() => 'bullet', lvl => bullets[lvl % 3])}</w:abstractNum>
+<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels(lvl => ['decimal', 'lowerLetter', 'lowerRoman'][lvl % 3], lvl => `%${lvl + 1}.`)}</w:abstractNum>
+<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>\n`;
+		for (const { numId, start } of orderedLists) {
+			output += `<w:num w:numId="${numId}"><w:abstractNumId w:val="1"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride></w:num>\n`;
+		}
+		return output + '</w:numbering>';
+	}
+
+	async function formatDocxExport(conversationData, messages, conversationId, options = {}, loadingModal = null) {
+		const includeThinking = options.includeThinking ?? false;
+		const includeImages = options.includeImages ?? true;
+		const title = conversationData.name || 'Untitled Conversation';
+		const zip = new JSZip();
+
+		const rels = [];
+		const orderedLists = [];
+		const mediaTypes = new Set();
+		const ctx = {
+			addRel(type, target, external = false) {
+				const id = `rId${rels.length + 10}`; // rId1-9 are left to the fixed parts
+				rels.push(`<Relationship Id="${id}" Type="${type}" Target="${docxEsc(target)}"${external ? ' TargetMode="External"' : ''}/>`);
+				return id;
+			},
+			addOrderedList(start) {
+				const numId = orderedLists.length + 2;
+				orderedLists.push({ numId, start });
+				return numId;
+			}
+		};
+
+		let body = docxParagraph(docxRun(title), { style: 'Title' });
+		if (conversationData.model) {
+			body += docxParagraph(docxRun(`Model: ${conversationData.model}`, { italic: true }));
+		}
+
+		let imageCount = 0;
+		for (let m = 0; m < messages.length; m++) {
+			const message = messages[m];
+			const isUser = message.sender === ROLES.USER.apiName;
+			body += docxParagraph(docxRun(isUser ? 'User' : 'Assistant'), { style: isUser ? 'UserLabel' : 'AssistantLabel' });
+
+			for (const content of message.content) {
+				if (content.type === 'thinking' && includeThinking) {
+					for (const line of (content.thinking || '').split(/\n{2,}/)) {
+						body += docxParagraph(docxRun(line), { style: 'Thinking' });
+					}
+				} else if (content.type === 'text') {
+					body += renderDocxBlocks(marked.lexer(content.text || '', { gfm: true, breaks: true }), ctx, isUser ? 'UserText' : null);
+				}
+			}
+
+			if (!includeImages) continue;
+			for (const file of message.files) {
+				if (!(file instanceof ClaudeFile) || file.file_kind !== 'image' || !file.getDownloadUrl()) continue;
+				loadingModal?.setContent(createLoadingContent(`Downloading images for message ${m + 1}/${messages.length}...`));
+				try {
+					const blob = await file.download();
+					if (!blob) continue;
+					const mediaType = blob.type && blob.type.startsWith('image/') ? blob.type : 'image/png';
+					const extension = mediaType.split('/')[1].replace('jpeg', 'jpg').replace(/\+.*$/, '');
+					imageCount++;
+					const target = `media/image${imageCount}.${extension}`;
+					zip.file(`word/${target}`, blob);
+					mediaTypes.add(`${extension}|${mediaType}`);
+
+					let width = 400;
+					let height = 300;
+					try {
+						const bitmap = await createImageBitmap(blob);
+						width = bitmap.width;
+						height = bitmap.height;
+						bitmap.close();
+					} catch (e) {
+						// Not decodable here (e.g. SVG); keep the placeholder size
+					}
+					let widthEmu = width * DOCX_EMU_PER_PX;
+					let heightEmu = height * DOCX_EMU_PER_PX;
+					if (widthEmu > DOCX_MAX_IMAGE_WIDTH_EMU) {
+						heightEmu = Math.round(heightEmu * DOCX_MAX_IMAGE_WIDTH_EMU / widthEmu);
+						widthEmu = DOCX_MAX_IMAGE_WIDTH_EMU;
+					}
+
+					const relId = ctx.addRel('http://schemas.openxmlformats.org/officeDocument/2006/relationships/image', target);
+					body += docxParagraph(docxImageRun(relId, imageCount, file.file_name, widthEmu, heightEmu));
+					await new Promise(r => setTimeout(r, 200));
+				} catch (error) {
+					console.warn(`[Exporter] Failed to download image ${file.file_name} for DOCX:`, error);
+				}
+			}
+		}
+
+		zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">
+<w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`);
+		zip.file('word/styles.xml', DOCX_STYLES);
+		zip.file('word/numbering.xml', buildDocxNumbering(orderedLists));
+		zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+${rels.join('\n')}
+</Relationships>`);
+
+		zip.file('docProps/core.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${docxEsc(title)}</dc:title>
+<dc:creator>Claude</dc:creator>
+<dc:identifier>${docxEsc(conversationId)}</dc:identifier>
+${conversationData.created_at ? `<dcterms:created xsi:type="dcterms:W3CDTF">${docxEsc(new Date(conversationData.created_at).toISOString())}</dcterms:created>` : ''}
+${conversationData.updated_at ? `<dcterms:modified xsi:type="dcterms:W3CDTF">${docxEsc(new Date(conversationData.updated_at).toISOString())}</dcterms:modified>` : ''}
+</cp:coreProperties>`);
+		zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+
+		const imageDefaults = [...mediaTypes].map(entry => {
+			const [extension, mediaType] = entry.split('|');
+			return `<Default Extension="${extension}" ContentType="${mediaType}"/>`;
+		}).join('');
+		zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>${imageDefaults}
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+
+		return await zip.generateAsync({
+			type: 'blob',
+			mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+			compression: 'DEFLATE'
+		});
+	}
+	//#endregion
+
+	//#region Code & artifact export
+	// The produced files of a session rather than its transcript: artifacts (every version, plus
+	// the final one), files written by the file tools, sandbox outputs, and fenced code blocks.
+	const CODE_EXTENSIONS = {
+		javascript: 'js', js: 'js', jsx: 'jsx', typescript: 'ts', ts: 'ts', tsx: 'tsx',
+		python: 'py', py: 'py', ruby: 'rb', rb: 'rb', go: 'go', golang: 'go', rust: 'rs', rs: 'rs',
+		java: 'java', kotlin: 'kt', swift: 'swift', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', cs: 'cs',
+		php: 'php', html: 'html', xml: 'xml', css: 'css', scss: 'scss', json: 'json', yaml: 'yml', yml: 'yml',
+		toml: 'toml', ini: 'ini', sql: 'sql', bash: 'sh', sh: 'sh', shell: 'sh', zsh: 'sh', powershell: 'ps1',
+		markdown: 'md', md: 'md', latex: 'tex', tex: 'tex', r: 'r', lua: 'lua', dockerfile: 'Dockerfile',
+		makefile: 'Makefile', mermaid: 'mmd', svg: 'svg', vue: 'vue', svelte: 'svelte', dart: 'dart'
+	};
+
+	const ARTIFACT_TYPE_EXTENSIONS = {
+		'text/html': 'html',
+		'text/markdown': 'md',
+		'image/svg+xml': 'svg',
+		'application/vnd.ant.mermaid': 'mmd',
+		'application/vnd.ant.react': 'jsx'
+	};
+
+	// "Dockerfile" and "Makefile" are whole names, not extensions
+	function codeFilename(base, language) {
+		const ext = CODE_EXTENSIONS[(language || '').toLowerCase()] || 'txt';
+		return /^[A-Z]/.test(ext) ? `${base}_${ext}` : `${base}.${ext}`;
+	}
+
+	// Keeps folders, drops anything that would climb out of the zip or confuse a filesystem
+	function sanitizeCodePath(path) {
+		return String(path)
+			.replace(/^\/mnt\/(user-data\/)?(outputs\/)?/, '')
+			.split(/[\\/]+/)
+			.filter(part => part && part !== '.' && part !== '..')
+			.map(part => part.replace(/[<>:"|?*]/g, '_'))
+			.join('/');
+	}
+
+	const FILENAME_PATTERN = /^[\w.-]+(?:\/[\w.-]+)*\.[A-Za-z0-9]+$|^(?:Dockerfile|Makefile)$/;
+
+	// A name for a fenced block, if the message gives one: `js:src/app.js` / `python title=x.py`
+	// in the info string, a `// file: x` style comment on the first line, or a `path` in
+	// backticks closing the paragraph right before the block.
+	function findCodeFilenameHint(token, previousToken) {
+		const info = (token.lang || '').trim();
+		for (const part of info.split(/[\s:]+/).slice(1)) {
+			const candidate = part.replace(/^(?:title|file|filename)=/, '').replace(/^["']|["']$/g, '');
+			if (FILENAME_PATTERN.test(candidate)) return candidate;
+		}
+
+		const firstLine = (token.text || '').split('\n')[0];
+		const comment = firstLine.match(/^\s*(?:\/\/|#|--|;|<!--|\/\*)\s*(?:file(?:name)?\s*:\s*)?([\w./-]+)\s*(?:-->|\*\/)?\s*$/i);
+		if (comment && FILENAME_PATTERN.test(comment[1]) && comment[1].includes('.')) return comment[1];
+
+		if (previousToken?.type === 'paragraph') {
+			const inline = (previousToken.tokens || []).slice();
+			while (inline.length && inline[inline.length - 1].type === 'text' && /^[\s:]*$/.test(inline[inline.length - 1].text)) inline.pop();
+			const last = inline[inline.length - 1];
+			if (last?.type === 'codespan' && FILENAME_PATTERN.test(last.text)) return last.text;
+		}
+		return null;
+	}
+
+	// Flattens marked's block tree down to code tokens, each paired with the block before it
+	function collectCodeTokens(tokens, out = [], previous = null) {
+		for (const token of tokens || []) {
+			if (token.type === 'code') {
+				out.push({ token, previous });
+			} else if (token.type === 'list') {
+				for (const item of token.items) collectCodeTokens(item.tokens, out);
+			} else if (token.tokens && token.type === 'blockquote') {
+				collectCodeTokens(token.tokens, out);
+			}
+			if (token.type !== 'space') previous = token;
+		}
+		return out;
+	}
+
+	async function formatCodeExport(conversationData, messages, conversationId, options = {}, loadingModal = null) {
+		const zip = new JSZip();
+		const branch = currentBranchOf(conversationData, messages);
+		const index = [];
+		const usedPaths = new Set();
+		const uniquePath = (path) => {
+			if (!usedPaths.has(path)) {
+				usedPaths.add(path);
+				return path;
+			}
+			const lastDot = path.lastIndexOf('.');
+			const lastSlash = path.lastIndexOf('/');
+			const [stem, ext] = lastDot > lastSlash ? [path.slice(0, lastDot), path.slice(lastDot)] : [path, ''];
+			let n = 2;
+			while (usedPaths.has(`${stem}_${n}${ext}`)) n++;
+			usedPaths.add(`${stem}_${n}${ext}`);
+			return `${stem}_${n}${ext}`;
+		};
+		const write = async (path, content, kind, messageNumber) => {
+			const finalPath = uniquePath(path);
+			await addToZip(zip, finalPath, content);
+			index.push({ path: finalPath, kind, message: messageNumber });
+		};
+
+		const artifacts = new Map(); // id -> { name, ext, content, version }
+		const toolFiles = new Map(); // path -> content
+
+		for (let m = 0; m < branch.length; m++) {
+			const message = branch[m];
+			const messageNumber = m + 1;
+			const msgTag = `msg${String(messageNumber).padStart(3, '0')}`;
+
+			for (const content of message.content) {
+				if (content.type === 'tool_use' && content.input) {
+					const input = content.input;
+					if (content.name === 'artifacts' && input.id) {
+						let artifact = artifacts.get(input.id);
+						if (!artifact) {
+							const ext = input.type === 'application/vnd.ant.code'
+								? (CODE_EXTENSIONS[(input.language || '').toLowerCase()] || 'txt')
+								: (ARTIFACT_TYPE_EXTENSIONS[input.type] || 'txt');
+							artifact = { name: sanitizeNoteName(input.title || input.id), ext, content: '', version: 0 };
+							artifacts.set(input.id, artifact);
+						}
+						if (input.command === 'update' && typeof input.old_str === 'string') {
+							artifact.content = artifact.content.replace(input.old_str, () => input.new_str ?? '');
+						} else if (typeof input.content === 'string') {
+							artifact.content = input.content;
+						} else {
+							continue;
+						}
+						artifact.version++;
+						await write(`artifacts/${artifact.name}/v${artifact.version}_${msgTag}.${artifact.ext}`, artifact.content, 'artifact version', messageNumber);
+					} else if (typeof input.path === 'string' && typeof input.file_text === 'string') {
+						toolFiles.set(sanitizeCodePath(input.path), { content: input.file_text, message: messageNumber });
+					} else if (typeof input.path === 'string' && typeof input.old_str === 'string') {
+						const path = sanitizeCodePath(input.path);
+						const existing = toolFiles.get(path);
+						if (existing) {
+							toolFiles.set(path, { content: existing.content.replace(input.old_str, () => input.new_str ?? ''), message: messageNumber });
+						}
+					}
+				} else if (content.type === 'text' && content.text) {
+					const blocks = collectCodeTokens(marked.lexer(content.text, { gfm: true }));
+					for (let b = 0; b < blocks.length; b++) {
+						const { token, previous } = blocks[b];
+						const language = (token.lang || '').trim().split(/[\s:]+/)[0];
+						const hint = findCodeFilenameHint(token, previous);
+						const path = hint
+							? `code/${sanitizeCodePath(hint)}`
+							: `code/${codeFilename(`${msgTag}_block${b + 1}`, language)}`;
+						await write(path, token.text, 'code block', messageNumber);
+					}
+				}
+			}
+
+			if (message.sender === ROLES.USER.apiName) continue;
+			for (const file of message.files.filter(f => f instanceof ClaudeCodeExecutionFile)) {
+				loadingModal?.setContent(createLoadingContent(`Downloading ${file.file_name}...`));
+				try {
+					const blob = await file.download();
+					if (!blob) continue;
+					await write(`outputs/${sanitizeCodePath(file.path || file.file_name)}`, blob, 'sandbox output', messageNumber);
+					await new Promise(r => setTimeout(r, 200));
+				} catch (error) {
+					console.warn(`[Exporter] Failed to download sandbox file ${file.file_name}:`, error);
+				}
+			}
+		}
+
+		for (const artifact of artifacts.values()) {
+			await write(`artifacts/${artifact.name}.${artifact.ext}`, artifact.content, 'artifact (final)', null);
+		}
+		for (const [path, { content, message }] of toolFiles) {
+			await write(`files/${path}`, content, 'tool file', message);
+		}
+
+		let readme = `# ${conversationData.name || 'Untitled Conversation'}\n\n`;
+		if (!index.length) {
+			readme += 'No artifacts, files or code blocks on this branch.\n';
+		} else {
+			readme += '| File | Kind | Message |\n|---|---|---|\n';
+			for (const entry of index.sort((a, b) => a.path.localeCompare(b.path))) {
+				readme += `| ${entry.path} | ${entry.kind} | ${entry.message ?? ''} |\n`;
+			}
+		}
+		await addToZip(zip, 'INDEX.md', readme);
+
+		return await zip.generateAsync({ type: 'blob' });
+	}
+	//#endregion
+
+	//#region Analytics dataset export
+	// One flat row per message, for loading into a notebook. Per conversation this is NDJSON;
+	// a bulk export concatenates those and adds a CSV of the same rows (see buildBulkExport).
+	// `model` is the model recorded on the assistant message itself; only messages that carry none
+	// fall back to the conversation's current model, which may not be the one that wrote them.
+	const ANALYTICS_COLUMNS = [
+		'conversation_uuid', 'conversation_name', 'project_uuid', 'project_name',
+		'message_uuid', 'parent_message_uuid', 'sender', 'model', 'created_at', 'updated_at',
+		'char_count', 'token_estimate', 'thinking_char_count', 'attachment_count', 'file_count',
+		'image_count', 'tool_call_count', 'tool_result_count', 'branch_depth', 'sibling_count',
+		'is_leaf', 'on_current_branch'
+	];
+
+	function formatAnalyticsExport(conversationData, messages, conversationId) {
+		const messageMap = new Map(messages.map(m => [m.uuid, m]));
+		const childCount = new Map();
+		for (const msg of messages) {
+			childCount.set(msg.parent_message_uuid, (childCount.get(msg.parent_message_uuid) || 0) + 1);
+		}
+		const currentBranch = new Set(currentBranchOf(conversationData, messages).map(m => m.uuid));
+		// ClaudeMessage doesn't keep the per-message model from history, the raw JSON does
+		const messageModels = new Map((conversationData.chat_messages || []).filter(m => m.model).map(m => [m.uuid, m.model]));
+
+		const depthOf = new Map();
+		const depth = (msg) => {
+			// Iterative walk up to the nearest ancestor whose depth is known
+			const chain = [];
+			let current = msg;
+			while (current && !depthOf.has(current.uuid)) {
+				chain.push(current);
+				current = messageMap.get(current.parent_message_uuid);
+			}
+			let d = current ? depthOf.get(current.uuid) : 0;
+			for (let i = chain.length - 1; i >= 0; i--) depthOf.set(chain[i].uuid, ++d);
+			return depthOf.get(msg.uuid);
+		};
+
+		const rows = messages.map(msg => {
+			const text = (msg.content || []).filter(c => c.type === 'text').map(c => c.text || '').join('');
+			const thinking = (msg.content || []).filter(c => c.type === 'thinking').map(c => c.thinking || '').join('');
+			const attachments = msg.files.filter(f => f instanceof ClaudeAttachment);
+			const attachmentChars = attachments.reduce((sum, f) => sum + (f.extracted_content?.length || 0), 0);
+			const row = {
+				conversation_uuid: conversationId,
+				conversation_name: conversationData.name || '',
+				project_uuid: conversationData.project_uuid || conversationData.project?.uuid || null,
+				project_name: conversationData.project?.name || null,
+				message_uuid: msg.uuid,
+				parent_message_uuid: msg.parent_message_uuid,
+				sender: msg.sender,
+				model: msg.sender === ROLES.USER.apiName ? null : (msg.model || messageModels.get(msg.uuid) || conversationData.model || null),
+				created_at: msg.created_at ?? null,
+				updated_at: msg.updated_at || msg.created_at || null,
+				char_count: text.length,
+				// Same chars/4 heuristic the fork summariser budgets with
+				token_estimate: Math.ceil((text.length + attachmentChars) / 4),
+				thinking_char_count: thinking.length,
+				attachment_count: attachments.length,
+				file_count: msg.files.length - attachments.length,
+				image_count: msg.files.filter(f => f.file_kind === 'image').length,
+				tool_call_count: (msg.content || []).filter(c => c.type === 'tool_use').length,
+				tool_result_count: (msg.content || []).filter(c => c.type === 'tool_result').length,
+				branch_depth: depth(msg),
+				sibling_count: (childCount.get(msg.parent_message_uuid) || 1) - 1,
+				is_leaf: !childCount.has(msg.uuid),
+				on_current_branch: currentBranch.has(msg.uuid)
+			};
+			return JSON.stringify(row);
+		});
+
+		return rows.length ? rows.join('\n') + '\n' : '';
+	}
+
+	function analyticsRowsToCsv(rows) {
+		const cell = (value) => {
+			if (value === null || value === undefined) return '';
+			const str = String(value);
+			return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+		};
+		const lines = [ANALYTICS_COLUMNS.join(',')];
+		for (const row of rows) {
+			lines.push(ANALYTICS_COLUMNS.map(column => cell(row[column])).join(','));
+		}
+		return lines.join('\r\n') + '\r\n';
+	}
+	//#endregion
+
+	// SillyTavern chat file: JSONL, first line a header, one message per line after it.
+	// Field names follow SillyTavern's own writer. Its importer copies the file verbatim into the
+	// character's chat folder, so the shape has to be right on the way out - it only checks that the
+	// header carries user_name, name or chat_metadata, and rejects the file outright otherwise.
+	// No BOM either: it runs JSON.parse on the first line, which throws on a leading U+FEFF.
+	function formatJsonlExport(conversationData, messages, conversationId) {
+		const header = {
+			user_name: ROLES.USER.tavernName,
+			character_name: ROLES.ASSISTANT.tavernName,
+			create_date: humanizedDateTime(conversationData.created_at),
+			chat_metadata: {}
+		};
+
+		const lines = messages.map(msg => {
+			const isUser = msg.sender === ROLES.USER.apiName;
+			const text = ClaudeConversation.extractMessageText(msg);
+
+			// Always carried: SillyTavern renders extra.reasoning as a collapsed block separate from
+			// the message body, so it costs nothing the way inlined thinking does in markdown.
+			const extra = {};
+			const reasoning = msg.content
+				.filter(c => c.type === 'thinking')
+				.map(c => c.thinking || '')
+				.filter(Boolean)
+				.join('\n');
+			if (reasoning) {
+				extra.reasoning = reasoning;
+				extra.reasoning_type = 'model';
+			}
+
+			const isoTimestamp = msg.created_at || msg.updated_at;
+			const sendDate = isoTimestamp ? new Date(isoTimestamp) : new Date();
+
+			return {
+				name: isUser ? ROLES.USER.tavernName : ROLES.ASSISTANT.tavernName,
+				is_user: isUser,
+				is_system: false,
+				send_date: (isNaN(sendDate.getTime()) ? new Date() : sendDate).toISOString(),
+				mes: text,
+				// A SillyTavern swipe is alternate text for one message, not a branch: the messages
+				// after it stay put. Our regenerations are real subtrees, so they cannot round-trip
+				// as swipes; we export the same single path the other formats do.
+				swipe_id: 0,
+				swipes: [text],
+				extra
+			};
+		});
+
+		return [header, ...lines].map(entry => JSON.stringify(entry)).join('\n') + '\n';
+	}
+
+	//#region Tool call helpers (shared by the LibreChat and HTML exports)
+
+	// Claude emits a tool_use and its tool_result as sibling blocks in the same message, so results
+	// pair up by id without having to look at neighbouring messages.
+	function mapToolResultsById(content) {
+		const byId = new Map();
+		for (const item of content || []) {
+			if (item.type === 'tool_result' && item.tool_use_id) {
+				byId.set(item.tool_use_id, item);
+			}
+		}
+		return byId;
+	}
+
+	function blobToDataUri(blob) {
+		return new Promise((resolve, reject) => {
+			const reader = new FileReader();
+			reader.onloadend = () => resolve(reader.result);
+			reader.onerror = () => reject(reader.error || new Error('Failed to read blob'));
+			reader.readAsDataURL(blob);
+		});
+	}
+
+	// Resolves to null rather than throwing — callers treat unknown dimensions as "not renderable"
+	// instead of failing the whole export.
+	function getImageSize(blob) {
+		return new Promise((resolve) => {
+			const url = URL.createObjectURL(blob);
+			const img = new Image();
+			img.onload = () => {
+				const size = { width: img.naturalWidth, height: img.naturalHeight };
+				URL.revokeObjectURL(url);
+				resolve(size.width && size.height ? size : null);
+			};
+			img.onerror = () => {
+				URL.revokeObjectURL(url);
+				resolve(null);
+			};
+			img.src = url;
+		});
+	}
+
+	// Tool-generated images never appear in msg.files (that only carries user uploads), so the
+	// file_uuid on the tool_result is the only handle we get. /preview is the sole endpoint that
+	// serves them — the bare file URL and the usual /document, /content and /download variants all
+	// 404 — and it re-encodes to webp regardless of what the tool originally produced, so callers
+	// should trust the returned mimeType over any filename the tool declared.
+	async function downloadGeneratedImage(orgId, fileUuid) {
+		const file = new ClaudeFile({
+			file_uuid: fileUuid,
+			file_name: fileUuid,
+			file_kind: 'image',
+			preview_url: `https://claude.ai/api/${orgId}/files/${fileUuid}/preview`
+		});
+
+		const blob = await file.download();
+		if (!blob) return null;
+
+		return {
+			blob,
+			mimeType: (blob.type || '').split(';')[0].trim(),
+			dataUri: await blobToDataUri(blob),
+			size: await getImageSize(blob)
+		};
+	}
+	//#endregion
+
+	//#region LibreChat tool calls
+
+	// LibreChat hard-codes these tool names to purpose-built renderers that read from their own
+	// context/schema instead of the tool call's `output` string (see Part.tsx). A Claude tool that
+	// happens to share a name would render as an empty card, so it gets suffixed instead.
+	const LIBRECHAT_RESERVED_TOOL_NAMES = new Set([
+		'web_search', 'bash_tool', 'read_file', 'create_file', 'edit_file',
+		'file_search', 'retrieval', 'skill', 'subagent', 'execute_code'
+	]);
+
+	// Model providers conventionally constrain tool names to [A-Za-z0-9_-], and Claude's MCP server
+	// names can carry spaces and parens ("ComfyUI (Remote)"). Collapse each RUN of anything else to
+	// a single '-'; collapsing rather than substituting per character matters because LibreChat
+	// rewrites '---' to '.' when it renders the server name, and a per-character swap would emit
+	// that run for a name like "ComfyUI (Remote)".
+	function normalizeToolNamePart(part) {
+		return part.replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+	}
+
+	// LibreChat names MCP tools `${tool}_mcp_${server}` (its mcp_delimiter is '_mcp_'); Claude names
+	// them `Server:tool`. Translating gets us LibreChat's MCP chip and server icon, and the result
+	// can never collide with the reserved names above.
+	function toLibrechatToolName(name) {
+		const sep = name.indexOf(':');
+		if (sep > 0 && sep < name.length - 1) {
+			return `${normalizeToolNamePart(name.slice(sep + 1))}_mcp_${normalizeToolNamePart(name.slice(0, sep))}`;
+		}
+		const normalized = normalizeToolNamePart(name);
+		return LIBRECHAT_RESERVED_TOOL_NAMES.has(normalized) ? `${normalized}_claude` : normalized;
+	}
+
+	// Claude stores web_search/web_fetch results as `knowledge` stubs — title, url and favicon
+	// metadata, but never the retrieved page text — so there is nothing faithful to export for them.
+	// Gating on the content types we can actually represent (rather than a tool-name blocklist)
+	// drops those automatically and degrades correctly for tools we haven't seen yet.
+	function isExportableToolResult(result) {
+		return (result?.content || []).some(item => item.type === 'text' || item.type === 'image');
+	}
+
+	// LibreChat only renders an image inline when its filename carries one of these extensions
+	// (its imageExtRegex). Anything outside the set degrades to a download chip no matter what we
+	// do, so an unexpected format is better skipped than mislabelled.
+	const LIBRECHAT_IMAGE_EXTENSIONS = {
+		'image/jpeg': 'jpg',
+		'image/png': 'png',
+		'image/gif': 'gif',
+		'image/webp': 'webp',
+		'image/heic': 'heic',
+		'image/heif': 'heif'
+	};
+
+	// The filename is derived from the bytes we actually received rather than any name the tool
+	// declared, since /preview re-encodes (see downloadGeneratedImage).
+	async function buildGeneratedImageAttachment(orgId, fileUuid, toolCallId, messageId, conversationId) {
+		const image = await downloadGeneratedImage(orgId, fileUuid);
+		if (!image) return null;
+
+		// LibreChat needs the filename extension, width, height and filepath ALL present to render
 		// an attachment inline (isImageAttachment); missing any one silently degrades it to a
 		// download chip, so bail out rather than emit a half-populated attachment.
 		const extension = LIBRECHAT_IMAGE_EXTENSIONS[image.mimeType];
@@ -492,14 +1628,15 @@
 	// HTML export stuff
 	const EXPORT_SCAFFOLD = `
 	<!DOCTYPE html>
-	<html lang="en">
+	<html lang="en"{{HTML_CLASS}}>
 	<head>
 	<meta charset="UTF-8">
 	<meta name="viewport" content="width=device-width, initial-scale=1.0">
 	<title>{{TITLE}}</title>
 	<style>{{STYLESHEET}}</style>
+	{{THEME_STYLE}}
 	</head>
-	<body data-default-leaf="{{DEFAULT_LEAF}}">
+	<body data-default-leaf="{{DEFAULT_LEAF}}" data-color-scheme="{{COLOR_SCHEME}}">
 	{{MESSAGES}}
 	<button id="theme-toggle"></button>
 	<script id="conversation-tree" type="application/json">{{TREE_JSON}}</script>
@@ -808,19 +1945,329 @@
 			messagesHtml += `<div class="msg ${roleClass}" id="msg-${message.uuid}"${tsAttr} style="display:none"><div class="msg-header">${role}</div><div class="msg-body">${contentHtml}</div></div>\n`;
 		}
 
-		// Assemble from template
+		const theme = await resolveHtmlTheme(options.htmlTheme);
+		const placeholderValues = {
+			title,
+			date: new Date().toLocaleString(),
+			model: conversationData.model || '',
+			created: conversationData.created_at ? new Date(conversationData.created_at).toLocaleString() : '',
+			updated: conversationData.updated_at ? new Date(conversationData.updated_at).toLocaleString() : '',
+			messages: String(linearBranch.length),
+			conversation_id: conversationId
+		};
+		if (theme.header) {
+			messagesHtml = `<header class="export-header">${fillThemePlaceholders(theme.header, placeholderValues)}</header>\n` + messagesHtml;
+		}
+		if (theme.footer) {
+			messagesHtml += `<footer class="export-footer">${fillThemePlaceholders(theme.footer, placeholderValues)}</footer>\n`;
+		}
+
+		// Assemble from template. Replacer functions, since message text may contain `$&` and friends.
 		const template = await getExportTemplate();
 		const templateResult = template
-			.replace('{{TITLE}}', esc(title))
-			.replace('{{DEFAULT_LEAF}}', defaultLeaf)
-			.replace('{{MESSAGES}}', messagesHtml)
-			.replace('{{TREE_JSON}}', safeEmbed(JSON.stringify(treeJson)))
-			.replace('{{RAW_TXT}}', safeEmbed(rawTxt));
+			.replace('{{HTML_CLASS}}', () => theme.colorScheme === 'dark' ? ' class="dark"' : '')
+			.replace('{{THEME_STYLE}}', () => theme.css ? `<style id="export-theme">${theme.css.replace(/<\/style/gi, '<\\/style')}</style>` : '')
+			.replace('{{COLOR_SCHEME}}', () => theme.colorScheme || 'auto')
+			.replace('{{TITLE}}', () => esc(title))
+			.replace('{{DEFAULT_LEAF}}', () => defaultLeaf)
+			.replace('{{MESSAGES}}', () => messagesHtml)
+			.replace('{{TREE_JSON}}', () => safeEmbed(JSON.stringify(treeJson)))
+			.replace('{{RAW_TXT}}', () => safeEmbed(rawTxt));
 		// console.log(templateResult);
 		return templateResult;
 	}
+
+	// Print rules layered over the template's own. The template hides the print-irrelevant chrome
+	// already; this adds pagination and keeps code, images and tool blocks readable on paper.
+	const PDF_PRINT_STYLES = `
+	@page { margin: 16mm 14mm; }
+	* { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+	body { max-width: none; padding: 0; }
+	.msg-header { break-after: avoid; }
+	.msg-timestamp { display: block; margin-bottom: 0.5em; }
+	img, summary, .file-pill { break-inside: avoid; }
+	pre { white-space: pre-wrap; word-break: break-word; }
+	.copy-btn, .branch-nav, #theme-toggle { display: none !important; }`;
+
+	// The HTML export made static, for documents shown from inside claude.ai: its CSP won't run
+	// the template's script in a srcdoc frame or a blob: tab, so everything that script does at
+	// view time (showing the branch, timestamps) is baked in. Pass a single branch - every
+	// message ends up visible.
+	function makeStaticHtml(html, { expandDetails = false, extraStyles = '' } = {}) {
+		const doc = new DOMParser().parseFromString(html, 'text/html');
+
+		doc.querySelectorAll('script, #theme-toggle').forEach(el => el.remove());
+		doc.querySelectorAll('.msg').forEach(msg => {
+			msg.style.display = '';
+			const ts = parseInt(msg.getAttribute('data-timestamp'), 10);
+			if (ts) {
+				const span = doc.createElement('span');
+				span.className = 'msg-timestamp';
+				span.textContent = new Date(ts).toLocaleString();
+				msg.querySelector('.msg-header').after(span);
+			}
+		});
+		if (expandDetails) {
+			doc.querySelectorAll('details').forEach(details => details.setAttribute('open', ''));
+		}
+
+		if (extraStyles) {
+			const style = doc.createElement('style');
+			style.textContent = extraStyles;
+			doc.head.appendChild(style);
+		}
+
+		return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+	}
+
+	// Every collapsible is opened for the PDF, because paper can't be clicked
+	async function formatPdfExport(conversationData, messages, conversationId, options = {}) {
+		const html = await formatHtmlExport(conversationData, messages, conversationId, options);
+		return makeStaticHtml(html, { expandDetails: true, extraStyles: PDF_PRINT_STYLES });
+	}
+
+	// Hands a standalone document to the browser's print pipeline from a hidden iframe, which
+	// paginates it and offers "Save as PDF" - no PDF library, nothing leaves the machine.
+	// Printing the live page instead loses every message the virtualized list has unmounted.
+	function printHtmlDocument(html) {
+		return new Promise((resolve, reject) => {
+			const iframe = document.createElement('iframe');
+			iframe.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+			let settled = false;
+			let fallbackTimer = null;
+			const finish = (error) => {
+				if (settled) return;
+				settled = true;
+				clearTimeout(fallbackTimer);
+				window.removeEventListener('focus', onParentFocus);
+				iframe.remove();
+				error ? reject(error) : resolve();
+			};
+			// afterprint doesn't fire everywhere (some browsers skip it for iframes, or when the
+			// dialog is cancelled), so also finish once focus comes back to the page, with a timeout
+			// as the last resort so the iframe never lingers
+			const onParentFocus = () => setTimeout(() => finish(), 500);
+			iframe.onload = () => {
+				const frameWindow = iframe.contentWindow;
+				frameWindow.addEventListener('afterprint', () => finish(), { once: true });
+				try {
+					frameWindow.focus();
+					frameWindow.print();
+					window.addEventListener('focus', onParentFocus, { once: true });
+					fallbackTimer = setTimeout(() => finish(), 60000);
+				} catch (error) {
+					finish(error);
+				}
+			};
+			iframe.srcdoc = html;
+			document.body.appendChild(iframe);
+		});
+	}
 	// #endregion
 
+	//#region HTML themes
+	// A theme layers CSS over the base template and can pin the colour scheme and add a header
+	// and footer. Built-ins live here; user themes in settings, keyed by id like pref-switcher's
+	// presets. Header/footer placeholders are {{title}}, {{date}}, {{model}}, {{created}},
+	// {{updated}}, {{messages}} and {{conversation_id}}.
+	const BUILTIN_HTML_THEMES = {
+		default: { id: 'default', name: 'Default', colorScheme: 'auto', css: '', header: '', footer: '', builtin: true },
+		light: { id: 'light', name: 'Light', colorScheme: 'light', css: '', header: '', footer: '', builtin: true },
+		dark: { id: 'dark', name: 'Dark', colorScheme: 'dark', css: '', header: '', footer: '', builtin: true },
+		compact: {
+			id: 'compact', name: 'Compact', colorScheme: 'auto', header: '', footer: '', builtin: true,
+			css: `body { max-width: 960px; padding: 12px; line-height: 1.4; }
+.msg { margin-bottom: 10px; }
+.msg-user { margin-top: 14px; margin-bottom: 4px; }
+.msg-user .msg-body { padding: 6px 12px; border-radius: 0.6rem; }
+.msg-assistant { padding-bottom: 6px; margin-top: 4px; }
+.msg-assistant .msg-body { line-height: 1.45; }
+.text-content p { margin-bottom: 0.4em; line-height: 1.45; }`
+		},
+		print: {
+			id: 'print', name: 'Print', colorScheme: 'light', builtin: true,
+			header: '<div>{{title}}</div>',
+			footer: '<div>Exported {{date}} · {{model}}</div>',
+			css: `body { font-family: Georgia, "Times New Roman", serif; background: #fff; color: #000; }
+.msg-user { align-items: stretch; }
+.msg-user .msg-body { background: none; border-left: 3px solid #999; border-radius: 0; max-width: none; padding: 2px 12px; }
+.msg-header { text-transform: uppercase; letter-spacing: 0.05em; }
+.text-content pre { border-color: #ccc; }`
+		}
+	};
+
+	async function getCustomHtmlThemes() {
+		return await settingsRegistry.get(SETTINGS_KEYS.EXPORTER.HTML_THEMES);
+	}
+
+	async function saveHtmlTheme(id, theme) {
+		const themes = await getCustomHtmlThemes();
+		if (!id) id = crypto.randomUUID();
+		themes[id] = { ...theme, id, lastModified: Date.now() };
+		await settingsRegistry.set(SETTINGS_KEYS.EXPORTER.HTML_THEMES, themes);
+		return id;
+	}
+
+	async function deleteHtmlTheme(id) {
+		const themes = await getCustomHtmlThemes();
+		delete themes[id];
+		await settingsRegistry.set(SETTINGS_KEYS.EXPORTER.HTML_THEMES, themes);
+		if (await settingsRegistry.get(SETTINGS_KEYS.EXPORTER.HTML_THEME) === id) {
+			await settingsRegistry.set(SETTINGS_KEYS.EXPORTER.HTML_THEME, 'default');
+		}
+	}
+
+	async function listHtmlThemes() {
+		return [...Object.values(BUILTIN_HTML_THEMES), ...Object.values(await getCustomHtmlThemes())];
+	}
+
+	// Falls back to the saved choice, then to the default, so bulk and scheduled exports that
+	// don't pass a theme still get the one picked in the modal
+	async function resolveHtmlTheme(themeId) {
+		const id = themeId ?? await settingsRegistry.get(SETTINGS_KEYS.EXPORTER.HTML_THEME);
+		if (BUILTIN_HTML_THEMES[id]) return BUILTIN_HTML_THEMES[id];
+		return (await getCustomHtmlThemes())[id] || BUILTIN_HTML_THEMES.default;
+	}
+
+	// Header/footer are the user's own HTML; only the values going into them are escaped
+	function fillThemePlaceholders(html, values) {
+		return (html || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+			Object.prototype.hasOwnProperty.call(values, key) ? esc(values[key] ?? '') : match
+		);
+	}
+
+	async function showHtmlThemeListModal(onChanged) {
+		const contentContainer = document.createElement('div');
+
+		const list = document.createElement('div');
+		list.className = CLAUDE_CLASSES.LIST_CONTAINER;
+		list.style.maxHeight = '300px';
+		contentContainer.appendChild(list);
+
+		const createRow = (name, actions) => {
+			const row = document.createElement('div');
+			row.className = CLAUDE_CLASSES.LIST_ITEM + ' flex items-center gap-2';
+			row.style.cursor = 'default';
+			const nameSpan = document.createElement('span');
+			nameSpan.className = 'flex-1 text-sm';
+			nameSpan.textContent = name;
+			row.appendChild(nameSpan);
+			for (const [label, handler] of actions) {
+				const button = createClaudeButton(label, 'secondary');
+				button.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs');
+				button.onclick = handler;
+				row.appendChild(button);
+			}
+			return row;
+		};
+
+		const changed = async () => {
+			await renderList();
+			if (onChanged) await onChanged();
+		};
+
+		async function renderList() {
+			list.innerHTML = '';
+			for (const theme of await listHtmlThemes()) {
+				const actions = [['Duplicate', () => showEditHtmlThemeModal(null, { ...theme, name: `${theme.name} copy` }, changed)]];
+				if (!theme.builtin) {
+					actions.unshift(['Edit', () => showEditHtmlThemeModal(theme.id, theme, changed)]);
+					actions.push(['Delete', async () => {
+						if (!await showClaudeConfirm('Delete Theme', `Delete theme "${theme.name}"?`)) return;
+						await deleteHtmlTheme(theme.id);
+						await changed();
+					}]);
+				}
+				list.appendChild(createRow(theme.builtin ? `${theme.name} (built-in)` : theme.name, actions));
+			}
+		}
+
+		await renderList();
+
+		const newBtn = createClaudeButton('+ New Theme', 'secondary');
+		newBtn.classList.add('mt-3');
+		newBtn.onclick = () => showEditHtmlThemeModal(null, null, changed);
+		contentContainer.appendChild(newBtn);
+
+		const modal = new ClaudeModal('HTML Export Themes', contentContainer);
+		modal.modal.classList.remove('max-w-md');
+		modal.modal.classList.add('max-w-lg');
+		modal.addCancel('Close');
+		modal.show();
+	}
+
+	function showEditHtmlThemeModal(themeId, initial, onSaved) {
+		const contentContainer = document.createElement('div');
+		const textareaClass = 'bg-bg-000 border border-border-300 p-3 leading-5 rounded-[0.6rem] transition-colors hover:border-border-200 focus:border-border-200 focus:outline-none placeholder:text-text-500 w-full font-mono text-xs';
+
+		const addLabel = (text) => {
+			const label = document.createElement('label');
+			label.className = CLAUDE_CLASSES.LABEL;
+			label.textContent = text;
+			contentContainer.appendChild(label);
+		};
+		const addTextarea = (value, rows, placeholder) => {
+			const textarea = document.createElement('textarea');
+			textarea.className = textareaClass + ' mb-4';
+			textarea.style.resize = 'vertical';
+			textarea.rows = rows;
+			textarea.placeholder = placeholder;
+			textarea.setAttribute('data-1p-ignore', 'true');
+			textarea.value = value || '';
+			contentContainer.appendChild(textarea);
+			return textarea;
+		};
+
+		addLabel('Theme Name');
+		const nameInput = createClaudeInput({ placeholder: 'Theme name', value: initial?.name || '' });
+		nameInput.classList.add('mb-4');
+		contentContainer.appendChild(nameInput);
+
+		addLabel('Colour Scheme');
+		const schemeSelect = createClaudeSelect([
+			{ value: 'auto', label: 'Follow the reader (with toggle)' },
+			{ value: 'light', label: 'Always light' },
+			{ value: 'dark', label: 'Always dark' }
+		], initial?.colorScheme || 'auto');
+		schemeSelect.classList.add('mb-4');
+		contentContainer.appendChild(schemeSelect);
+
+		addLabel('Header HTML');
+		const headerInput = addTextarea(initial?.header, 3, '<img src="https://..." height="32"> {{title}}');
+		addLabel('Footer HTML');
+		const footerInput = addTextarea(initial?.footer, 3, 'Internal - exported {{date}} with {{model}}');
+
+		const help = document.createElement('p');
+		help.className = CLAUDE_CLASSES.TEXT_SM + ' mb-4';
+		help.textContent = 'Placeholders: {{title}}, {{date}}, {{model}}, {{created}}, {{updated}}, {{messages}}, {{conversation_id}}';
+		contentContainer.appendChild(help);
+
+		addLabel('CSS');
+		const cssInput = addTextarea(initial?.css, 8, 'body { font-family: "Inter", sans-serif; }\n.export-header { border-bottom: 2px solid #0b5cad; }');
+
+		const modal = new ClaudeModal(themeId ? 'Edit Theme' : 'New Theme', contentContainer);
+		modal.modal.classList.remove('max-w-md');
+		modal.modal.classList.add('max-w-xl');
+		modal.addCancel();
+		modal.addConfirm('Save', async () => {
+			const name = nameInput.value.trim();
+			if (!name) {
+				showClaudeAlert('Name required', 'Please enter a name for this theme.');
+				return false;
+			}
+			await saveHtmlTheme(themeId, {
+				name,
+				colorScheme: schemeSelect.value,
+				header: headerInput.value,
+				footer: footerInput.value,
+				css: cssInput.value
+			});
+			if (onSaved) await onSaved();
+		});
+		modal.show();
+	}
+	//#endregion
+
 	function buildZipFilename(uuid, filename) {
 		const lastDot = filename.lastIndexOf('.');
 		if (lastDot === -1) {
@@ -913,10 +2360,298 @@
 	}
 	//#endregion
 
+	//#region Redaction
+	// Optional scrub applied in formatExport before any format sees the data. It runs on a clone of
+	// the raw conversation JSON (chat_messages included, so the raw format is covered too) and
+	// rebuilds the ClaudeMessages from that - the fetched ones share content arrays with the cache.
+	const isPhoneLike = (match) => {
+		const digits = match.replace(/\D/g, '').length;
+		if (digits < 7 || digits > 15) return false;
+		if (!/^\+|[ ().-]/.test(match)) return false; // a bare run of digits is more likely an ID
+		return !/^\d{4}-\d{2}-\d{2}/.test(match) && !/^\d+\.\d+$/.test(match);
+	};
+
+	// Order matters: IPs go before phone numbers, which would otherwise claim dotted quads
+	const REDACTION_RULES = [
+		{
+			setting: 'emails', category: 'Email', replacement: '[REDACTED EMAIL]',
+			regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+		},
+		{
+			setting: 'apiKeys', category: 'API key', replacement: '[REDACTED KEY]',
+			regex: /\b(?:sk-[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abposr]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|glpat-[A-Za-z0-9_-]{20,})\b/g
+		},
+		{
+			// `api_key = ...` style assignments: only the value goes, the name stays for context
+			setting: 'apiKeys', category: 'API key', replacement: '[REDACTED KEY]', keepPrefix: true,
+			regex: /\b((?:api[_-]?key|secret|token|password|passwd|authorization)["']?\s*[:=]\s*["']?(?:Bearer\s+)?)([^\s"',;]{8,})/gi
+		},
+		{
+			setting: 'ips', category: 'IP address', replacement: '[REDACTED IP]',
+			regex: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g
+		},
+		{
+			setting: 'ips', category: 'IP address', replacement: '[REDACTED IP]',
+			regex: /(?<![\w:])(?:(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4}|(?:[0-9A-Fa-f]{1,4}:){1,6}(?::[0-9A-Fa-f]{1,4}){1,6})(?![\w:])/g,
+			accept: match => match.split(/:+/).filter(Boolean).length >= 3 // not `a::b` from C++ scopes
+		},
+		{
+			setting: 'phones', category: 'Phone', replacement: '[REDACTED PHONE]',
+			regex: /(?<![\w+.])\+?\(?\d[\d ().-]{5,}\d(?!\w)/g,
+			accept: isPhoneLike
+		}
+	];
+
+	async function getRedactionSettings() {
+		const stored = await settingsRegistry.get(SETTINGS_KEYS.EXPORTER.REDACTION);
+		return { ...SETTINGS_KEYS.EXPORTER.REDACTION.default, ...stored };
+	}
+
+	// Custom patterns are one per line, either bare (`ACME-\d+`) or slash-delimited with flags
+	// (`/project (falcon|osprey)/i`). Throws on an invalid one so the settings modal can say which.
+	function compileRedactionRules(settings) {
+		const rules = REDACTION_RULES.filter(rule => settings[rule.setting]);
+
+		for (const line of settings.patterns || []) {
+			const slashed = line.match(/^\/(.+)\/([a-z]*)$/);
+			const [source, flags] = slashed ? [slashed[1], slashed[2]] : [line, ''];
+			try {
+				rules.push({
+					category: 'Custom pattern', replacement: '[REDACTED]',
+					regex: new RegExp(source, flags.includes('g') ? flags : flags + 'g')
+				});
+			} catch (error) {
+				throw new Error(`Invalid redaction pattern "${line}": ${error.message}`);
+			}
+		}
+
+		const words = (settings.words || []).filter(Boolean)
+			.sort((a, b) => b.length - a.length)
+			.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+		if (words.length) {
+			rules.push({
+				category: 'Word list', replacement: '[REDACTED]',
+				regex: new RegExp(`(?<![\\p{L}\\p{N}_])(?:${words.join('|')})(?![\\p{L}\\p{N}_])`, 'giu')
+			});
+		}
+		return rules;
+	}
+
+	// When `findings` is given, each hit is recorded with a little context for the preview
+	function redactText(text, rules, location = null, findings = null) {
+		if (typeof text !== 'string' || !text) return text;
+		for (const rule of rules) {
+			text = text.replace(rule.regex, (match, ...args) => {
+				const secret = rule.keepPrefix ? args[1] : match;
+				if (!secret || (rule.accept && !rule.accept(secret))) return match;
+				if (findings) {
+					const offsetIndex = args.findIndex(arg => typeof arg === 'number');
+					const source = args[offsetIndex + 1];
+					const start = args[offsetIndex] + match.length - secret.length;
+					findings.push({
+						category: rule.category,
+						location,
+						match: secret,
+						before: source.slice(Math.max(0, start - 40), start),
+						after: source.slice(start + secret.length, start + secret.length + 40)
+					});
+				}
+				return rule.keepPrefix ? args[0] + rule.replacement : rule.replacement;
+			});
+		}
+		return text;
+	}
+
+	// Identifiers and URLs inside content blocks are left alone; everything else that's a string is text
+	const REDACTION_SKIP_KEYS = new Set([
+		'type', 'uuid', 'id', 'tool_use_id', 'file_uuid', 'file_kind', 'media_type', 'name',
+		'url', 'preview_url', 'thumbnail_url', 'start_timestamp', 'stop_timestamp'
+	]);
+
+	function redactDeep(value, rules, location, findings) {
+		if (typeof value === 'string') return redactText(value, rules, location, findings);
+		if (Array.isArray(value)) return value.map(item => redactDeep(item, rules, location, findings));
+		if (value && typeof value === 'object') {
+			for (const [key, child] of Object.entries(value)) {
+				if (!REDACTION_SKIP_KEYS.has(key)) value[key] = redactDeep(child, rules, location, findings);
+			}
+		}
+		return value;
+	}
+
+	function redactMessageJson(json, rules, location, findings) {
+		json.content = redactDeep(json.content || [], rules, location, findings);
+		// Derived from content, so already counted there
+		json.text = redactText(json.text, rules);
+		for (const attachment of json.attachments || []) {
+			attachment.extracted_content = redactText(
+				attachment.extracted_content, rules, `${location}, attachment ${attachment.file_name}`, findings
+			);
+		}
+		return json;
+	}
+
+	function redactConversation(conversationData, messages, settings) {
+		const rules = compileRedactionRules(settings);
+		const findings = [];
+		const data = structuredClone(conversationData);
+
+		data.name = redactText(data.name, rules, 'Title', findings);
+		data.summary = redactText(data.summary, rules, 'Summary', findings);
+
+		const senderLabel = sender => sender === 'human' ? 'user' : 'assistant';
+		const byUuid = new Map();
+		(data.chat_messages || []).forEach((json, i) => {
+			redactMessageJson(json, rules, `Message ${(json.index ?? i) + 1} (${senderLabel(json.sender)})`, findings);
+			byUuid.set(json.uuid, json);
+		});
+
+		// Anything not in chat_messages gets redacted from its own serialization rather than slip through
+		const redactedMessages = messages.map((message, i) => {
+			const json = byUuid.get(message.uuid) || redactMessageJson(
+				structuredClone(message.toHistoryJSON()), rules, `Message ${i + 1} (${senderLabel(message.sender)})`, findings
+			);
+			return ClaudeMessage.fromHistoryJSON(message.conversation, json);
+		});
+
+		return { conversationData: data, messages: redactedMessages, findings };
+	}
+
+	function showRedactionPreview(findings) {
+		return new Promise(resolve => {
+			const content = document.createElement('div');
+
+			const summary = document.createElement('p');
+			summary.className = CLAUDE_CLASSES.TEXT_SM + ' mb-3';
+			if (findings.length) {
+				const counts = {};
+				for (const { category } of findings) counts[category] = (counts[category] || 0) + 1;
+				summary.textContent = `${findings.length} item(s) will be redacted: ` +
+					Object.entries(counts).map(([category, count]) => `${category} ${count}`).join(', ');
+			} else {
+				summary.textContent = 'Nothing matched the redaction rules.';
+			}
+			content.appendChild(summary);
+
+			const PREVIEW_LIMIT = 300;
+			if (findings.length) {
+				const list = document.createElement('div');
+				list.className = CLAUDE_CLASSES.LIST_CONTAINER;
+				list.style.maxHeight = '360px';
+				for (const finding of findings.slice(0, PREVIEW_LIMIT)) {
+					const row = document.createElement('div');
+					row.className = CLAUDE_CLASSES.LIST_ITEM;
+					row.style.cursor = 'default';
+
+					const where = document.createElement('div');
+					where.className = 'text-xs text-text-400';
+					where.textContent = `${finding.location} · ${finding.category}`;
+					row.appendChild(where);
+
+					const context = document.createElement('div');
+					context.className = 'text-sm break-all';
+					const mark = document.createElement('span');
+					mark.style.background = 'rgba(220, 38, 38, 0.25)';
+					mark.style.textDecoration = 'line-through';
+					mark.textContent = finding.match;
+					context.append(`…${finding.before.replace(/\s+/g, ' ')}`, mark, `${finding.after.replace(/\s+/g, ' ')}…`);
+					row.appendChild(context);
+
+					list.appendChild(row);
+				}
+				content.appendChild(list);
+
+				if (findings.length > PREVIEW_LIMIT) {
+					const more = document.createElement('p');
+					more.className = CLAUDE_CLASSES.TEXT_MUTED + ' text-xs mt-2';
+					more.textContent = `…and ${findings.length - PREVIEW_LIMIT} more.`;
+					content.appendChild(more);
+				}
+			}
+
+			const modal = new ClaudeModal('Redaction Preview', content);
+			modal.modal.classList.remove('max-w-md');
+			modal.modal.classList.add('max-w-2xl');
+			modal.addCancel('Cancel', () => resolve(false));
+			modal.addConfirm('Export Redacted', () => resolve(true));
+			modal.backdrop.onclick = (e) => {
+				if (e.target === modal.backdrop) {
+					modal.hide();
+					resolve(false);
+				}
+			};
+			modal.show();
+		});
+	}
+
+	async function showRedactionSettingsModal() {
+		const settings = await getRedactionSettings();
+		const content = document.createElement('div');
+		const textareaClass = 'bg-bg-000 border border-border-300 p-3 leading-5 rounded-[0.6rem] transition-colors hover:border-border-200 focus:border-border-200 focus:outline-none placeholder:text-text-500 w-full font-mono text-xs mb-4';
+
+		const toggles = {};
+		for (const [setting, label] of [
+			['emails', 'Email addresses'],
+			['phones', 'Phone numbers'],
+			['apiKeys', 'API keys and secrets'],
+			['ips', 'IP addresses']
+		]) {
+			const toggle = createClaudeToggle(label, settings[setting]);
+			toggle.container.classList.add('mb-2');
+			content.appendChild(toggle.container);
+			toggles[setting] = toggle.input;
+		}
+
+		const addTextarea = (labelText, lines, placeholder) => {
+			const label = document.createElement('label');
+			label.className = CLAUDE_CLASSES.LABEL + ' mt-3';
+			label.textContent = labelText;
+			content.appendChild(label);
+			const textarea = document.createElement('textarea');
+			textarea.className = textareaClass;
+			textarea.style.resize = 'vertical';
+			textarea.rows = 4;
+			textarea.placeholder = placeholder;
+			textarea.value = lines.join('\n');
+			content.appendChild(textarea);
+			return textarea;
+		};
+		const patternsInput = addTextarea('Custom patterns (one regex per line)', settings.patterns, 'ACME-\\d{4,}\n/project (falcon|osprey)/i');
+		const wordsInput = addTextarea('Words and names (one per line, whole words, any case)', settings.words, 'Jane Doe\nAcme Corp');
+
+		const modal = new ClaudeModal('Redaction Rules', content);
+		modal.addCancel();
+		modal.addConfirm('Save', async () => {
+			const splitLines = value => value.split('\n').map(line => line.trim()).filter(Boolean);
+			const next = {
+				...settings,
+				...Object.fromEntries(Object.entries(toggles).map(([setting, input]) => [setting, input.checked])),
+				patterns: splitLines(patternsInput.value),
+				words: splitLines(wordsInput.value)
+			};
+			try {
+				compileRedactionRules(next);
+			} catch (error) {
+				showClaudeAlert('Invalid Pattern', error.message);
+				return false;
+			}
+			await settingsRegistry.set(SETTINGS_KEYS.EXPORTER.REDACTION, next);
+		});
+		modal.show();
+	}
+	//#endregion
+
 	async function formatExport(conversationData, messages, format, conversationId, loadingModal, options = {}) {
+		if (options.redaction) {
+			const redacted = redactConversation(conversationData, messages, options.redaction);
+			({ conversationData, messages } = redacted);
+			options.onRedacted?.(redacted);
+		}
+
 		switch (format) {
 			case 'txt':
 				return formatTxtExport(conversationData, messages, conversationId);
+			case 'git': // one Markdown file per conversation, laid out by buildBulkExport
 			case 'md':
 				return formatMdExport(conversationData, messages, conversationId, options.includeThinking, options.includeAttachments);
 			case 'jsonl':
@@ -927,8 +2662,20 @@
 				return formatRawExport(conversationData, messages, conversationId);
 			case 'html':
 				return formatHtmlExport(conversationData, messages, conversationId, options);
+			case 'pdf':
+				return formatPdfExport(conversationData, messages, conversationId, options);
 			case 'zip':
 				return formatZipExport(conversationData, messages, conversationId, loadingModal);
+			case 'obsidian':
+				return formatObsidianExport(conversationData, messages, conversationId, options, loadingModal);
+			case 'epub':
+				return formatEpubExport(conversationData, messages, conversationId, options, loadingModal);
+			case 'docx':
+				return formatDocxExport(conversationData, messages, conversationId, options, loadingModal);
+			case 'code':
+				return formatCodeExport(conversationData, messages, conversationId, options, loadingModal);
+			case 'analytics':
+				return formatAnalyticsExport(conversationData, messages, conversationId);
 			default:
 				throw new Error(`Unsupported format: ${format}`);
 		}
@@ -1209,14 +2956,23 @@
 	}
 
 	function convertToPhantomMessages(messages) {
-		// Takes ClaudeMessage[], sets UUIDs and parent links, returns same instances
+		// Takes ClaudeMessage[], sets UUIDs and parent links, returns same instances.
+		// Branched imports arrive carrying their own uuid/parent links, and keep that shape under
+		// fresh uuids; everything else is chained in array order.
+		const isTree = messages.some(m => m.uuid);
+		const newIds = new Map(messages.map(m => [m.uuid, crypto.randomUUID()]));
 		let parentId = "00000000-0000-4000-8000-000000000000";
 
 		for (const message of messages) {
 			const timestamp = message.created_at || new Date().toISOString();
 
-			message.uuid = crypto.randomUUID();
-			message.parent_message_uuid = parentId;
+			if (isTree) {
+				message.parent_message_uuid = newIds.get(message.parent_message_uuid) || "00000000-0000-4000-8000-000000000000";
+				message.uuid = newIds.get(message.uuid);
+			} else {
+				message.uuid = crypto.randomUUID();
+				message.parent_message_uuid = parentId;
+			}
 
 			// Ensure timestamps on content items
 			for (const contentItem of message.content) {
@@ -1237,7 +2993,10 @@
 		await storePhantomMessages(conversationId, messages.map(m => m.toHistoryJSON()));
 	}
 
-	async function finalizeImport(name, messages, model, zipFiles = null, loadingModal = null, settings = null) {
+	// `tree`, when a parser provides one, is every imported message with its parent links, in an
+	// order that ends on the leaf of `messages`. Claude only ever reads `messages` (the chatlog);
+	// the tree is what gets stored as phantoms, so the other branches stay browsable.
+	async function finalizeImport(name, messages, model, zipFiles = null, loadingModal = null, settings = null, tree = null) {
 		const accountFeatureSettings = await warnAboutSettingsMismatch(settings);
 
 		const conversation = new ClaudeConversation(getOrgId());
@@ -1265,7 +3024,8 @@
 		}
 		// Replace file references in messages (for phantom storage)
 		// Only replace ClaudeFile/ClaudeCodeExecutionFile - ClaudeAttachment is handled separately
-		for (const msg of messages) {
+		// The tree holds the off-branch messages too; a Set so shared messages are only remapped once
+		for (const msg of new Set([...(tree || []), ...messages])) {
 			const filesToReplace = msg.files.filter(f => f instanceof ClaudeFile || f instanceof ClaudeCodeExecutionFile);
 			for (const f of filesToReplace) {
 				msg.removeFile(f);
@@ -1295,7 +3055,7 @@
 		await conversation.sendMessageAndWaitForResponse(importMessage);
 
 		// Convert and store phantom messages
-		const phantomMessages = convertToPhantomMessages(messages);
+		const phantomMessages = convertToPhantomMessages(tree || messages);
 		await storePhantomMessagesAndWait(conversation.conversationId, phantomMessages);
 
 		// Navigate to new conversation
@@ -1555,103 +3315,603 @@
 				break;
 			}
 
-			current = messageMap.get(parentId);
+			current = messageMap.get(parentId);
+		}
+
+		return branch;
+	}
+
+	function flattenRecursiveTree(messages) {
+		// Start from last root, follow last child at each level
+		const branch = [];
+		let current = messages[messages.length - 1];
+
+		while (current) {
+			branch.push(current);
+
+			if (current.children && current.children.length > 0) {
+				current = current.children[current.children.length - 1];
+			} else {
+				current = null;
+			}
+		}
+
+		return branch;
+	}
+	//#endregion
+
+	//#region ChatGPT import
+	// ChatGPT's data export: conversations.json is an array of conversations, each a `mapping` of
+	// node id -> { message, parent, children }. Nodes with nothing to show (the root, system
+	// prompts, hidden plumbing) are spliced out, and same-role runs (a tool call, its output, the
+	// answer) fold into one turn so the tree alternates the way Claude's does.
+	function isChatgptExport(data) {
+		const first = Array.isArray(data) ? data[0] : data;
+		return Boolean(first && typeof first.mapping === 'object' && first.mapping !== null);
+	}
+
+	function extractChatgptContent(message, warnings) {
+		const content = message.content || {};
+		const blocks = [];
+
+		switch (content.content_type) {
+			case 'text':
+			case 'multimodal_text':
+				for (const part of content.parts || []) {
+					if (typeof part === 'string') {
+						if (part.trim()) blocks.push({ type: 'text', text: part });
+					} else if (part?.content_type === 'image_asset_pointer') {
+						// The export only carries a pointer; the image bytes sit in separate files
+						blocks.push({ type: 'text', text: '[Image not included in ChatGPT export]' });
+						warnings.add('Images are not part of conversations.json and were replaced with placeholders.');
+					}
+				}
+				break;
+			case 'code': {
+				if (!content.text) break;
+				const lang = content.language && content.language !== 'unknown' ? content.language : '';
+				blocks.push({ type: 'text', text: `\`\`\`${lang}\n${content.text}\n\`\`\`` });
+				break;
+			}
+			case 'execution_output':
+				if (content.text) blocks.push({ type: 'text', text: `\`\`\`\n${content.text}\n\`\`\`` });
+				break;
+			case 'thoughts': {
+				const thinking = (content.thoughts || [])
+					.map(t => t.content || t.summary || '')
+					.filter(Boolean)
+					.join('\n\n');
+				if (thinking) blocks.push({ type: 'thinking', thinking });
+				break;
+			}
+			// user_editable_context (custom instructions), reasoning_recap, tether_* etc. are
+			// ChatGPT UI plumbing with no counterpart in a Claude conversation
+		}
+
+		return blocks;
+	}
+
+	function parseChatgptConversation(data) {
+		const mapping = data.mapping;
+		const warnings = new Set();
+		const conversation = new ClaudeConversation(getOrgId(), null);
+
+		// Visible nodes become messages, keyed by their node id for now
+		const kept = new Map();
+		for (const [id, node] of Object.entries(mapping)) {
+			const raw = node.message;
+			if (!raw || raw.author?.role === 'system' || raw.metadata?.is_visually_hidden_from_conversation) continue;
+			const content = extractChatgptContent(raw, warnings);
+			if (content.length === 0) continue;
+
+			const msg = new ClaudeMessage(conversation);
+			msg.uuid = id;
+			msg.sender = raw.author?.role === 'user' ? ROLES.USER.apiName : ROLES.ASSISTANT.apiName;
+			msg.content = content;
+			msg.created_at = raw.create_time ? new Date(raw.create_time * 1000).toISOString() : null;
+			kept.set(id, msg);
+		}
+
+		if (kept.size === 0) {
+			throw new Error('No messages found in ChatGPT conversation');
+		}
+
+		const nearestKept = (id) => {
+			while (id && mapping[id]) {
+				if (kept.has(id)) return id;
+				id = mapping[id].parent;
+			}
+			return null;
+		};
+
+		const keptChildren = new Map();
+		for (const id of kept.keys()) {
+			const parentId = nearestKept(mapping[id].parent);
+			if (!keptChildren.has(parentId)) keptChildren.set(parentId, []);
+			keptChildren.get(parentId).push(id);
+		}
+
+		// Depth-first so parents always precede children. A message folds into its parent only as
+		// the parent's sole continuation - folding one of several siblings would fuse branches.
+		// An explicit stack rather than recursion: a linear chat is as deep as it is long.
+		const folded = new Map();
+		const tree = [];
+		const stack = (keptChildren.get(null) || []).slice().reverse().map(id => ({ id, effectiveParentId: null }));
+		while (stack.length) {
+			const { id, effectiveParentId } = stack.pop();
+			const msg = kept.get(id);
+			const parentMsg = effectiveParentId ? kept.get(effectiveParentId) : null;
+			const originalParentId = nearestKept(mapping[id].parent);
+			let nextParentId = id;
+
+			if (parentMsg && parentMsg.sender === msg.sender && keptChildren.get(originalParentId).length === 1) {
+				parentMsg.content.push(...msg.content);
+				folded.set(id, effectiveParentId);
+				nextParentId = effectiveParentId;
+			} else {
+				msg.parent_message_uuid = effectiveParentId || ROOT_MESSAGE_UUID;
+				tree.push(msg);
+			}
+
+			// Pushed in reverse so siblings come off the stack in their original order
+			const children = keptChildren.get(id) || [];
+			for (let i = children.length - 1; i >= 0; i--) {
+				stack.push({ id: children[i], effectiveParentId: nextParentId });
+			}
+		}
+
+		// Claude conversations open with the user
+		const assistantRoots = tree.filter(m => m.parent_message_uuid === ROOT_MESSAGE_UUID && m.sender !== ROLES.USER.apiName);
+		if (assistantRoots.length > 0) {
+			warnings.add('Conversation did not start with a user message. A placeholder was added.');
+			const placeholder = new ClaudeMessage(conversation);
+			placeholder.uuid = crypto.randomUUID();
+			placeholder.sender = ROLES.USER.apiName;
+			placeholder.content = [{ type: 'text', text: '[Conversation imported from ChatGPT]' }];
+			placeholder.created_at = assistantRoots[0].created_at;
+			for (const root of assistantRoots) root.parent_message_uuid = placeholder.uuid;
+			tree.unshift(placeholder);
+		}
+
+		// Active branch: walk up from current_node, resolved through splices and folds
+		const byId = new Map(tree.map(m => [m.uuid, m]));
+		let leafId = nearestKept(data.current_node) || tree[tree.length - 1].uuid;
+		while (folded.has(leafId)) leafId = folded.get(leafId);
+
+		const messages = [];
+		let current = byId.get(leafId);
+		while (current) {
+			messages.unshift(current);
+			current = byId.get(current.parent_message_uuid);
+		}
+
+		// Stitching hangs the real conversation off the last phantom, so the active leaf goes last
+		const leaf = messages[messages.length - 1];
+		tree.splice(tree.indexOf(leaf), 1);
+		tree.push(leaf);
+
+		if (tree.length > messages.length) {
+			warnings.add('Multiple branches detected. All branches are imported; Claude only sees the active one.');
+		}
+
+		return {
+			name: data.title || 'Imported Conversation',
+			messages,
+			tree,
+			warnings: [...warnings]
+		};
+	}
+
+	// A full export holds every conversation the account ever had, so let the user pick one
+	function pickChatgptConversation(conversations) {
+		return new Promise((resolve) => {
+			const content = document.createElement('div');
+			const text = document.createElement('p');
+			text.className = CLAUDE_CLASSES.TEXT_SM + ' mb-2';
+			text.textContent = `This export contains ${conversations.length} conversations. Choose one to import:`;
+			content.appendChild(text);
+
+			const sorted = conversations
+				.map((conv, index) => ({ conv, index }))
+				.sort((a, b) => (b.conv.update_time || 0) - (a.conv.update_time || 0));
+			const select = createClaudeSearchableSelect(
+				sorted.map(({ conv, index }) => ({
+					value: String(index),
+					label: `${conv.title || 'Untitled'}${conv.update_time ? ` (${new Date(conv.update_time * 1000).toLocaleDateString()})` : ''}`
+				})),
+				String(sorted[0].index)
+			);
+			content.appendChild(select);
+
+			const modal = new ClaudeModal('Choose Conversation', content, false);
+			modal.addCancel('Cancel', () => resolve(null));
+			modal.addConfirm('Import', () => resolve(conversations[parseInt(select.value, 10)]));
+			modal.show();
+		});
+	}
+
+	async function parseChatgptJson(jsonData) {
+		let data = jsonData;
+		if (Array.isArray(jsonData)) {
+			data = jsonData.length === 1 ? jsonData[0] : await pickChatgptConversation(jsonData);
+			if (!data) throw new Error('USER_CANCELLED');
+		}
+		return parseChatgptConversation(data);
+	}
+	//#endregion
+
+	//#region API message array / SillyTavern import
+	// Claude.ai needs turns to alternate; back-to-back turns from one side are joined into one
+	function mergeConsecutiveTurns(messages) {
+		const merged = [];
+		for (const msg of messages) {
+			const prev = merged[merged.length - 1];
+			if (prev && prev.sender === msg.sender) {
+				prev.content.push(...msg.content);
+				for (const file of msg.files) prev.attachFile(file);
+				continue;
+			}
+			merged.push(msg);
+		}
+		return merged;
+	}
+
+	function ensureStartsWithUser(messages, conversation, warnings, sourceLabel) {
+		if (messages.length === 0 || messages[0].sender === ROLES.USER.apiName) return;
+		warnings.add('Conversation did not start with a user message. A placeholder was added.');
+		const placeholder = new ClaudeMessage(conversation);
+		placeholder.sender = ROLES.USER.apiName;
+		placeholder.content = [{ type: 'text', text: `[Conversation imported from ${sourceLabel}]` }];
+		placeholder.created_at = messages[0].created_at;
+		messages.unshift(placeholder);
+	}
+
+	// The shape both chat APIs take as input: [{ role, content }], bare or as a request body
+	// ({ system, messages }). LibreChat's `messages` never carry a role, which keeps the two apart.
+	function isApiMessageArray(data) {
+		const list = Array.isArray(data) ? data : data?.messages;
+		return Array.isArray(list) && list.length > 0 &&
+			list.every(m => m && typeof m.role === 'string' && ('content' in m || m.tool_calls));
+	}
+
+	function dataUrlToBlob(url) {
+		const match = url.match(/^data:([^;,]+)?(;base64)?,([\s\S]*)$/);
+		if (!match) return null;
+		const mediaType = match[1] || 'application/octet-stream';
+		if (!match[2]) return new Blob([decodeURIComponent(match[3])], { type: mediaType });
+		const binary = atob(match[3]);
+		const bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+		return new Blob([bytes], { type: mediaType });
+	}
+
+	// Anthropic image sources ({ type: 'base64' | 'url' }) and OpenAI image_url values, which may
+	// be data: URLs. Remote URLs are fetched, and come back null when the host refuses.
+	async function imageBlobFromSource(source) {
+		if (!source) return null;
+		if (source.type === 'base64' && source.data) {
+			return dataUrlToBlob(`data:${source.media_type || 'image/png'};base64,${source.data}`);
+		}
+		const url = source.url || '';
+		if (url.startsWith('data:')) return dataUrlToBlob(url);
+		if (!/^https?:/.test(url)) return null;
+		try {
+			const response = await fetch(url);
+			if (!response.ok) return null;
+			return await response.blob();
+		} catch (e) {
+			console.warn('[Exporter] Failed to fetch image for import:', url, e);
+			return null;
+		}
+	}
+
+	function blocksToText(content) {
+		if (typeof content === 'string') return content;
+		return (content || []).filter(b => b.type === 'text').map(b => b.text || '').join('\n');
+	}
+
+	// Anthropic puts tool results in the following user turn and OpenAI in separate `tool` turns.
+	// Claude.ai keeps each result beside its tool_use in the assistant message, so results move
+	// there and the assistant turns either side of them merge back together.
+	async function parseApiMessageArray(jsonData) {
+		const list = Array.isArray(jsonData) ? jsonData : jsonData.messages;
+		const warnings = new Set();
+		const conversation = new ClaudeConversation(getOrgId(), null);
+		const zipFiles = [];
+		const toolNames = new Map();
+		const systemParts = [];
+		let imageCount = 0;
+
+		if (!Array.isArray(jsonData) && jsonData.system) {
+			systemParts.push(blocksToText(jsonData.system));
+		}
+
+		// Images ride the same path as zip-imported files: a stand-in ClaudeFile on the message,
+		// its blob in zipFiles, and finalizeImport uploads one and swaps in the other.
+		const addImage = async (msg, source) => {
+			const blob = await imageBlobFromSource(source);
+			if (!blob) {
+				msg.content.push({ type: 'text', text: '[Image could not be imported]' });
+				warnings.add('Some images could not be loaded and were replaced with placeholders.');
+				return;
+			}
+			const ext = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg');
+			const file = parseFileFromAPI({
+				file_uuid: crypto.randomUUID(),
+				file_name: `image_${++imageCount}.${ext}`,
+				file_kind: 'image'
+			}, conversation);
+			msg.attachFile(file);
+			zipFiles.push({ originalFile: file, blob });
+		};
+
+		const toToolResult = (toolUseId, content, isError, fallbackName) => ({
+			type: 'tool_result',
+			tool_use_id: toolUseId,
+			name: toolNames.get(toolUseId) || fallbackName || 'tool',
+			content: [{ type: 'text', text: blocksToText(content) }],
+			is_error: Boolean(isError)
+		});
+
+		const messages = [];
+		for (const raw of list) {
+			if (raw.role === 'system' || raw.role === 'developer') {
+				systemParts.push(blocksToText(raw.content));
+				continue;
+			}
+
+			const msg = new ClaudeMessage(conversation);
+			msg.sender = raw.role === 'user' ? ROLES.USER.apiName : ROLES.ASSISTANT.apiName;
+			const toolResults = [];
+
+			if (raw.role === 'tool') {
+				toolResults.push(toToolResult(raw.tool_call_id, raw.content, false, raw.name));
+			} else {
+				const blocks = typeof raw.content === 'string'
+					? [{ type: 'text', text: raw.content }]
+					: (raw.content || []);
+
+				for (const block of blocks) {
+					switch (block.type) {
+						case 'text':
+							if (block.text) msg.content.push({ type: 'text', text: block.text });
+							break;
+						case 'image':
+							await addImage(msg, block.source);
+							break;
+						case 'image_url':
+							await addImage(msg, { url: block.image_url?.url || block.image_url });
+							break;
+						case 'thinking':
+							msg.content.push({ type: 'thinking', thinking: block.thinking || '' });
+							break;
+						case 'tool_use':
+							toolNames.set(block.id, block.name);
+							msg.content.push({ type: 'tool_use', id: block.id, name: block.name, input: block.input || {} });
+							break;
+						case 'tool_result':
+							toolResults.push(toToolResult(block.tool_use_id, block.content, block.is_error));
+							break;
+						default:
+							warnings.add(`Skipped unsupported content block type "${block.type}".`);
+					}
+				}
+
+				for (const call of raw.tool_calls || []) {
+					let input = {};
+					try {
+						input = JSON.parse(call.function?.arguments || '{}');
+					} catch (e) {
+						input = { arguments: call.function?.arguments };
+					}
+					toolNames.set(call.id, call.function?.name);
+					msg.content.push({ type: 'tool_use', id: call.id, name: call.function?.name || 'tool', input });
+				}
+			}
+
+			if (toolResults.length > 0) {
+				const prev = messages[messages.length - 1];
+				if (prev && prev.sender === ROLES.ASSISTANT.apiName) {
+					prev.content.push(...toolResults);
+				} else {
+					warnings.add('Found tool results without a preceding tool call; they were skipped.');
+				}
+			}
+
+			if (msg.content.length > 0 || msg.files.length > 0) {
+				messages.push(msg);
+			}
+		}
+
+		const merged = mergeConsecutiveTurns(messages);
+		if (merged.length === 0) {
+			throw new Error('No messages found in file');
+		}
+
+		// No system slot in a claude.ai conversation; carry it as an attachment so the model sees it
+		const systemPrompt = systemParts.filter(Boolean).join('\n\n');
+		const firstUser = merged.find(m => m.sender === ROLES.USER.apiName);
+		if (systemPrompt && firstUser) {
+			firstUser.attachFile(ClaudeAttachment.fromText(systemPrompt, 'system_prompt.txt'));
+		}
+
+		ensureStartsWithUser(merged, conversation, warnings, 'API transcript');
+
+		return {
+			name: (!Array.isArray(jsonData) && (jsonData.title || jsonData.name)) || 'Imported Conversation',
+			messages: merged,
+			warnings: [...warnings],
+			zipFiles
+		};
+	}
+
+	// Reads back what formatJsonlExport writes, and what SillyTavern itself saves: a header line,
+	// then one message per line. Only the selected swipe comes across - swipes are alternate
+	// texts for one slot, not branches, so there is nowhere to put the rest.
+	function parseSillyTavernJsonl(text, fileName) {
+		const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+		if (lines.length === 0) throw new Error('No messages found in file');
+
+		let header;
+		try {
+			header = JSON.parse(lines[0].replace(/^\uFEFF/, ''));
+		} catch (e) {
+			throw new Error('Invalid SillyTavern file: first line is not JSON');
+		}
+		if (!('user_name' in header || 'character_name' in header || 'chat_metadata' in header)) {
+			throw new Error('Invalid SillyTavern file: missing chat header');
+		}
+
+		const warnings = new Set();
+		const conversation = new ClaudeConversation(getOrgId(), null);
+		const messages = [];
+
+		for (let i = 1; i < lines.length; i++) {
+			let raw;
+			try {
+				raw = JSON.parse(lines[i]);
+			} catch (e) {
+				warnings.add(`Skipped unreadable line ${i + 1}.`);
+				continue;
+			}
+			if (raw.is_system) {
+				warnings.add('System/narrator messages were skipped.');
+				continue;
+			}
+
+			const msg = new ClaudeMessage(conversation);
+			msg.sender = raw.is_user ? ROLES.USER.apiName : ROLES.ASSISTANT.apiName;
+			if (raw.extra?.reasoning) {
+				msg.content.push({ type: 'thinking', thinking: raw.extra.reasoning });
+			}
+			if (raw.mes) {
+				msg.content.push({ type: 'text', text: raw.mes });
+			}
+			// send_date is ISO from newer versions, "May 4, 2023 10:05pm" from older ones
+			const sendDate = raw.send_date ? new Date(raw.send_date) : null;
+			msg.created_at = sendDate && !isNaN(sendDate.getTime()) ? sendDate.toISOString() : null;
+
+			if (msg.content.length > 0) messages.push(msg);
 		}
 
-		return branch;
+		const merged = mergeConsecutiveTurns(messages);
+		if (merged.length === 0) throw new Error('No messages found in file');
+		if (merged.length < messages.length) {
+			warnings.add('Consecutive messages from the same speaker were merged.');
+		}
+		ensureStartsWithUser(merged, conversation, warnings, 'SillyTavern');
+
+		return {
+			name: (fileName || '').replace(/\.jsonl$/i, '') || header.character_name || 'Imported Conversation',
+			messages: merged,
+			warnings: [...warnings]
+		};
 	}
+	//#endregion
 
-	function flattenRecursiveTree(messages) {
-		// Start from last root, follow last child at each level
-		const branch = [];
-		let current = messages[messages.length - 1];
+	// Every JSON flavour the importer understands, told apart by shape
+	async function parseJsonImport(fileContent) {
+		const jsonData = JSON.parse(fileContent);
+
+		if (jsonData.chat_messages && jsonData.current_leaf_message_uuid) {
+			// Raw Claude JSON
+			return parseRawClaudeJson(fileContent);
+		} else if (isChatgptExport(jsonData)) {
+			return await parseChatgptJson(jsonData);
+		} else if (isApiMessageArray(jsonData)) {
+			return await parseApiMessageArray(jsonData);
+		} else if (jsonData.messages) {
+			// LibreChat JSON
+			return parseLibrechatJson(fileContent);
+		}
+		throw new Error('Unrecognized JSON format');
+	}
 
-		while (current) {
-			branch.push(current);
+	// Picks the parser by file extension
+	async function parseImportFile(file, loadingModal, includeFiles) {
+		if (file.name.endsWith('.zip')) {
+			// Zip import - includes files
+			return await parseZipImport(file, loadingModal, includeFiles);
+		}
+		const fileContent = await file.text();
+		if (file.name.endsWith('.txt')) {
+			// TXT import - wrap in virtual zip for unified handling
+			const zip = new JSZip();
+			await addToZip(zip, 'conversation.txt', fileContent);
+			return await parseZipImport(zip, loadingModal, false); // No files in TXT
+		} else if (file.name.endsWith('.json')) {
+			return await parseJsonImport(fileContent);
+		} else if (file.name.endsWith('.jsonl')) {
+			return parseSillyTavernJsonl(fileContent, file.name);
+		}
+		throw new Error('Unsupported file type');
+	}
 
-			if (current.children && current.children.length > 0) {
-				current = current.children[current.children.length - 1];
-			} else {
-				current = null;
+	// Applies the import toggles to parsed data in place
+	function applyImportFilters(parsedData, includeFiles, includeToolCalls) {
+		// The tree holds the branch's instances too, so filtering it covers both
+		const allMessages = parsedData.tree || parsedData.messages;
+
+		// Filter based on toggles using ClaudeMessage methods
+		if (!includeFiles) {
+			for (const msg of allMessages) {
+				msg.clearFiles();
 			}
+			parsedData.zipFiles = null;
 		}
 
-		return branch;
+		if (!includeToolCalls) {
+			for (const msg of allMessages) {
+				msg.removeToolCalls();
+			}
+		}
+
+		// Remove token_budget content items
+		for (const msg of allMessages) {
+			msg.content = msg.content.filter(item => item.type !== 'token_budget');
+		}
+		return parsedData;
 	}
-	//#endregion
 
 	async function handleImport(model, includeFiles, includeToolCalls) {
 		// Trigger file picker
 		const fileInput = document.createElement('input');
 		fileInput.type = 'file';
-		fileInput.accept = '.txt,.json,.zip,.html';
+		fileInput.accept = '.txt,.json,.jsonl,.zip,.html,.enc';
 
-		const file = await new Promise(resolve => {
+		let file = await new Promise(resolve => {
 			fileInput.onchange = e => resolve(e.target.files[0]);
 			fileInput.click();
 		});
 
 		if (!file) return;
 
+		try {
+			file = await unlockImportFile(file);
+		} catch (error) {
+			if (error.message === 'USER_CANCELLED') return;
+			showClaudeAlert('Import Error', error.message);
+			return;
+		}
+
 		// Show loading modal
 		const loadingModal = createLoadingModal('Importing...');
 		loadingModal.show();
 
 		// Parse and validate
-		const fileContent = await file.text();
 		let parsedData;
 
 		try {
-			if (file.name.endsWith('.zip')) {
-				// Zip import - includes files
-				parsedData = await parseZipImport(file, loadingModal, includeFiles);
-			} else if (file.name.endsWith('.txt')) {
-				// TXT import - wrap in virtual zip for unified handling
-				const zip = new JSZip();
-				await addToZip(zip, 'conversation.txt', fileContent);
-				parsedData = await parseZipImport(zip, loadingModal, false); // No files in TXT
-			} else if (file.name.endsWith('.json')) {
-				const jsonData = JSON.parse(fileContent);
-
-				if (jsonData.chat_messages && jsonData.current_leaf_message_uuid) {
-					// Raw Claude JSON
-					parsedData = parseRawClaudeJson(fileContent);
-				} else if (jsonData.messages) {
-					// LibreChat JSON
-					parsedData = parseLibrechatJson(fileContent);
-				} else {
-					throw new Error('Unrecognized JSON format');
-				}
-			} else {
-				throw new Error('Unsupported file type');
-			}
+			parsedData = await parseImportFile(file, loadingModal, includeFiles);
 		} catch (error) {
+			loadingModal.destroy();
+			if (error.message === 'USER_CANCELLED') return;
 			// Show error
 			showClaudeAlert('Import Error', error.message);
-			loadingModal.destroy();
 			return;
 		}
 
-		let { messages, warnings, name, zipFiles, settings } = parsedData;
-
-		// Filter based on toggles using ClaudeMessage methods
-		if (!includeFiles) {
-			for (const msg of messages) {
-				msg.clearFiles();
-			}
-			zipFiles = null;
-		}
-
-		if (!includeToolCalls) {
-			for (const msg of messages) {
-				msg.removeToolCalls();
-			}
-		}
-
-		// Remove token_budget content items
-		for (const msg of messages) {
-			msg.content = msg.content.filter(item => item.type !== 'token_budget');
-		}
+		const { messages, warnings, name, zipFiles, settings, tree } = applyImportFilters(parsedData, includeFiles, includeToolCalls);
 
 		// Show warnings modal if needed
 		if (warnings.length > 0) {
@@ -1664,7 +3924,7 @@
 
 		console.log('Parsed import data:', { name, messages, zipFiles });
 		try {
-			await finalizeImport(name, messages, model, zipFiles, loadingModal, settings);
+			await finalizeImport(name, messages, model, zipFiles, loadingModal, settings, tree);
 			// Navigation happens in finalizeImport, loading modal cleaned up automatically
 		} catch (error) {
 			loadingModal.destroy();
@@ -1684,15 +3944,23 @@
 		// Trigger file picker
 		const fileInput = document.createElement('input');
 		fileInput.type = 'file';
-		fileInput.accept = '.txt,.json,.zip,.html';
+		fileInput.accept = '.txt,.json,.jsonl,.zip,.html,.enc';
 
-		const file = await new Promise(resolve => {
+		let file = await new Promise(resolve => {
 			fileInput.onchange = e => resolve(e.target.files[0]);
 			fileInput.click();
 		});
 
 		if (!file) return;
 
+		try {
+			file = await unlockImportFile(file);
+		} catch (error) {
+			if (error.message === 'USER_CANCELLED') return;
+			showClaudeAlert('Replace Error', error.message);
+			return;
+		}
+
 		// Show loading modal
 		const loadingModal = createLoadingModal('Replacing phantom messages...');
 		loadingModal.show();
@@ -1705,17 +3973,32 @@
 				parsedData = await parseZipImport(file, loadingModal, false);
 			} else if (file.name.endsWith('.json')) {
 				const fileContent = await file.text();
-				parsedData = parseLibrechatJson(fileContent);
+				parsedData = await parseJsonImport(fileContent);
+			} else if (file.name.endsWith('.jsonl')) {
+				const fileContent = await file.text();
+				parsedData = parseSillyTavernJsonl(fileContent, file.name);
 			} else {
 				const fileContent = await file.text();
 				parsedData = parseAndValidateText(fileContent);
 			}
 		} catch (error) {
-			showClaudeAlert('Replace Error', error.message || 'Invalid format');
 			loadingModal.destroy();
+			if (error.message === 'USER_CANCELLED') return;
+			showClaudeAlert('Replace Error', error.message || 'Invalid format');
 			return;
 		}
 
+		// Replacing only rewrites local phantom storage - there is no message here to upload files
+		// through, so stand-in files (API array images) would point at nothing. Drop them.
+		if (parsedData.zipFiles?.length) {
+			const standIns = new Set(parsedData.zipFiles.map(z => z.originalFile));
+			for (const msg of new Set([...(parsedData.tree || []), ...parsedData.messages])) {
+				for (const f of msg.files.filter(f => standIns.has(f))) msg.removeFile(f);
+			}
+			parsedData.warnings.push(`${standIns.size} file(s) from the source can't be uploaded when replacing phantom messages and were left out. Import the file as a new conversation to keep them.`);
+			parsedData.zipFiles = null;
+		}
+
 		// Show warnings modal if needed
 		if (parsedData.warnings.length > 0) {
 			const proceed = await showWarningsModal(parsedData.warnings);
@@ -1725,41 +4008,608 @@
 			}
 		}
 
-		try {
-			// Convert and store phantom messages (parsedData.messages is ClaudeMessage[])
-			const phantomMessages = convertToPhantomMessages(parsedData.messages);
-			await storePhantomMessagesAndWait(conversationId, phantomMessages);
+		try {
+			// Convert and store phantom messages (parsedData.messages is ClaudeMessage[])
+			const phantomMessages = convertToPhantomMessages(parsedData.tree || parsedData.messages);
+			await storePhantomMessagesAndWait(conversationId, phantomMessages);
+
+			// Reload to show changes
+			window.location.reload();
+		} catch (error) {
+			console.error('Replace failed:', error);
+			loadingModal.destroy();
+			showClaudeAlert('Replace Error', error.message || 'Failed to replace phantom messages');
+		}
+	}
+	//#endregion
+
+	//#region Merge import
+	// Several exports combined into one imported conversation. Each source contributes its active
+	// branch: `concatenate` keeps sources whole in the chosen order, `interleave` merges their
+	// exchanges by timestamp. The first message of every section is stamped with the source's name.
+	function groupIntoExchanges(messages) {
+		const exchanges = [];
+		for (const message of messages) {
+			if (message.sender === 'human' || !exchanges.length) exchanges.push([]);
+			exchanges[exchanges.length - 1].push(message);
+		}
+		return exchanges;
+	}
+
+	function mergeImportedSources(sources, mode) {
+		// Markers and uuids are written below, so work on copies - the parsed sources must survive a retry
+		const copyMessage = message => Object.assign(
+			Object.create(Object.getPrototypeOf(message)), message, { content: [...(message.content || [])] }
+		);
+		sources = sources.map(source => ({ ...source, messages: source.messages.map(copyMessage) }));
+
+		let sections;
+		if (mode === 'interleave') {
+			const exchanges = sources.flatMap(source => {
+				// Untimestamped exchanges stay behind the last timestamped one of their own source
+				let lastTime = -Infinity;
+				return groupIntoExchanges(source.messages).map(messages => {
+					const time = Date.parse(messages[0].created_at);
+					if (!Number.isNaN(time)) lastTime = time;
+					return { source, messages, time: lastTime };
+				});
+			});
+			// Stable sort, so ties keep source order
+			exchanges.sort((a, b) => a.time === b.time ? 0 : (a.time < b.time ? -1 : 1));
+
+			sections = [];
+			for (const exchange of exchanges) {
+				const last = sections[sections.length - 1];
+				if (last?.source === exchange.source) last.messages.push(...exchange.messages);
+				else sections.push({ source: exchange.source, messages: [...exchange.messages] });
+			}
+		} else {
+			sections = sources.map(source => ({ source, messages: source.messages }));
+		}
+
+		sections.forEach((section, i) => {
+			const marker = mode === 'interleave'
+				? `--- From: ${section.source.name} ---`
+				: `--- Part ${i + 1} of ${sections.length}: ${section.source.name} ---`;
+			section.messages[0]?.content.unshift({ type: 'text', text: marker });
+		});
+
+		const merged = sections.flatMap(section => section.messages);
+		// Without uuids convertToPhantomMessages chains them in array order
+		for (const message of merged) message.uuid = null;
+		return merged;
+	}
+
+	function showMergeOptionsModal(sources) {
+		return new Promise(resolve => {
+			const order = [...sources];
+			const content = document.createElement('div');
+
+			const nameLabel = document.createElement('label');
+			nameLabel.className = CLAUDE_CLASSES.LABEL;
+			nameLabel.textContent = 'Conversation Name';
+			content.appendChild(nameLabel);
+			const defaultName = `Merged: ${sources.map(source => source.name).join(' + ')}`;
+			const nameInput = createClaudeInput({ value: defaultName.length > 120 ? defaultName.slice(0, 119) + '…' : defaultName });
+			nameInput.classList.add('mb-4');
+			content.appendChild(nameInput);
+
+			const modeLabel = document.createElement('label');
+			modeLabel.className = CLAUDE_CLASSES.LABEL;
+			modeLabel.textContent = 'Combine';
+			content.appendChild(modeLabel);
+			const modeSelect = createClaudeSelect([
+				{ value: 'concatenate', label: 'One after another, in the order below' },
+				{ value: 'interleave', label: 'Interleave exchanges by time' }
+			], 'concatenate');
+			modeSelect.classList.add('mb-4');
+			content.appendChild(modeSelect);
+
+			const list = document.createElement('div');
+			list.className = CLAUDE_CLASSES.LIST_CONTAINER;
+			list.style.maxHeight = '300px';
+			content.appendChild(list);
+
+			const move = (from, to) => {
+				order.splice(to, 0, order.splice(from, 1)[0]);
+				renderList();
+			};
+
+			function renderList() {
+				list.innerHTML = '';
+				order.forEach((source, i) => {
+					const row = document.createElement('div');
+					row.className = CLAUDE_CLASSES.LIST_ITEM + ' flex items-center gap-2';
+					row.style.cursor = 'default';
+
+					const label = document.createElement('span');
+					label.className = 'flex-1 text-sm';
+					label.textContent = `${i + 1}. ${source.name} (${source.messages.length} messages)`;
+					label.title = source.fileName;
+					row.appendChild(label);
+
+					for (const [text, target] of [['↑', i - 1], ['↓', i + 1]]) {
+						const button = createClaudeButton(text, 'secondary', () => move(i, target));
+						button.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs');
+						button.disabled = target < 0 || target >= order.length;
+						row.appendChild(button);
+					}
+					list.appendChild(row);
+				});
+			}
+			renderList();
+
+			const modal = new ClaudeModal('Merge Conversations', content);
+			modal.modal.classList.remove('max-w-md');
+			modal.modal.classList.add('max-w-lg');
+			modal.addCancel('Cancel', () => resolve(null));
+			modal.addConfirm('Merge', () => {
+				resolve({ order, mode: modeSelect.value, name: nameInput.value.trim() || defaultName });
+			});
+			modal.backdrop.onclick = (e) => {
+				if (e.target === modal.backdrop) {
+					modal.hide();
+					resolve(null);
+				}
+			};
+			modal.show();
+		});
+	}
+
+	async function handleMergeImport(model, includeFiles, includeToolCalls) {
+		const fileInput = document.createElement('input');
+		fileInput.type = 'file';
+		fileInput.multiple = true;
+		fileInput.accept = '.txt,.json,.jsonl,.zip,.enc';
+
+		const picked = await new Promise(resolve => {
+			fileInput.onchange = e => resolve([...e.target.files]);
+			fileInput.click();
+		});
+
+		if (!picked.length) return;
+		if (picked.length < 2) {
+			showClaudeAlert('Merge Conversations', 'Select at least two exported conversations to merge.');
+			return;
+		}
+
+		// Passphrase prompts first, before the loading modal covers them
+		const files = [];
+		try {
+			for (const file of picked) files.push(await unlockImportFile(file));
+		} catch (error) {
+			if (error.message === 'USER_CANCELLED') return;
+			showClaudeAlert('Import Error', error.message);
+			return;
+		}
+
+		const loadingModal = createLoadingModal('Reading conversations...');
+		loadingModal.show();
+
+		const sources = [];
+		const warnings = [];
+		try {
+			for (const [i, file] of files.entries()) {
+				loadingModal.setContent(createLoadingContent(`Reading ${i + 1}/${files.length}: ${file.name}`));
+				let parsedData;
+				try {
+					parsedData = applyImportFilters(await parseImportFile(file, loadingModal, includeFiles), includeFiles, includeToolCalls);
+				} catch (error) {
+					if (error.message === 'USER_CANCELLED') throw error;
+					throw new Error(`${file.name}: ${error.message}`);
+				}
+
+				// A parser that kept the whole tree says so; in a merge only the active branch survives
+				const parserWarnings = parsedData.tree
+					? parsedData.warnings.filter(warning => !warning.startsWith('Multiple branches detected'))
+					: parsedData.warnings;
+				if (parsedData.tree && parsedData.tree.length > parsedData.messages.length) {
+					warnings.push(`${file.name}: has several branches, only the active one is merged.`);
+				}
+				warnings.push(...parserWarnings.map(warning => `${file.name}: ${warning}`));
+
+				sources.push({ ...parsedData, name: parsedData.name || file.name, fileName: file.name });
+			}
+		} catch (error) {
+			loadingModal.destroy();
+			if (error.message === 'USER_CANCELLED') return;
+			showClaudeAlert('Import Error', error.message);
+			return;
+		}
+
+		loadingModal.hide();
+		const options = await showMergeOptionsModal(sources);
+		if (!options || (warnings.length && !await showWarningsModal(warnings))) {
+			loadingModal.destroy();
+			return;
+		}
+		loadingModal.show();
+
+		const messages = mergeImportedSources(options.order, options.mode);
+		const zipFiles = sources.flatMap(source => source.zipFiles || []);
+		const settings = sources.find(source => source.settings)?.settings ?? null;
+
+		try {
+			await finalizeImport(options.name, messages, model, zipFiles.length ? zipFiles : null, loadingModal, settings);
+		} catch (error) {
+			loadingModal.destroy();
+			if (error.message === 'USER_CANCELLED') return;
+			console.error('Merge import failed:', error);
+			showClaudeAlert('Import Error', error.message || 'Failed to import the merged conversation');
+		}
+	}
+	//#endregion
+
+	async function exportSingleConversation(orgId, conversationId, format, extension, exportTree, exportOptions, loadingModal, freshnessHint = null) {
+		const conversation = new ClaudeConversation(orgId, conversationId);
+		// Bulk export passes the freshness it already learned from the conversation list. Without
+		// one there is nothing cheaper than a full fetch — a freshness check costs the same TTFB
+		// as the data itself — so skip the cache rather than pay for it twice.
+		let conversationData = freshnessHint
+			? await conversation.getData(false, freshnessHint)
+			: await conversation.getData(true);
+		const wasCached = conversation.lastGetDataFromCache;
+		// A range may end on another branch than the current one, so it walks the whole tree
+		let messages = await conversation.getMessages(exportTree || Boolean(exportOptions.range));
+		if (exportOptions.range) {
+			({ conversationData, messages } = sliceMessageRange(
+				conversationData, messages, exportOptions.range.from, exportOptions.range.to
+			));
+		}
+		// Redaction also covers the title, which ends up in the filename
+		let redacted = null;
+		const exportContent = await formatExport(
+			conversationData, messages, format, conversationId, loadingModal,
+			exportOptions.redaction ? { ...exportOptions, onRedacted: result => { redacted = result; } } : exportOptions
+		);
+		const safeName = ((redacted?.conversationData ?? conversationData).name || 'untitled').replace(/[<>:"/\\|?*]/g, '_');
+		const rangeSuffix = exportOptions.range ? '_excerpt' : '';
+		const filename = `Claude_export_${safeName}_${conversationId}${rangeSuffix}.${extension}`;
+		const blob = exportContent instanceof Blob
+			? exportContent
+			: new Blob([exportContent], { type: 'text/plain' });
+		return { filename, blob, wasCached, content: exportContent, redactions: redacted?.findings ?? null };
+	}
+
+	//#region Export manifests
+	// One manifest per scope (a project, or everything) and format, recording what the last bulk
+	// export wrote. Incremental runs diff the conversation list against it instead of refetching,
+	// as long as the export options still match the ones it was written with.
+	function getManifestKey(projectId, formatSelectValue) {
+		return `${projectId || 'all'}:${formatSelectValue}`;
+	}
+
+	async function getExportManifest(manifestKey) {
+		const manifests = await settingsRegistry.get(SETTINGS_KEYS.EXPORTER.MANIFESTS);
+		return manifests[manifestKey] || null;
+	}
+
+	async function saveExportManifest(manifestKey, manifest) {
+		const manifests = await settingsRegistry.get(SETTINGS_KEYS.EXPORTER.MANIFESTS);
+		manifests[manifestKey] = manifest;
+		await settingsRegistry.set(SETTINGS_KEYS.EXPORTER.MANIFESTS, manifests);
+	}
+
+	// Everything that shapes the exported files, with keys sorted so the order they were set in
+	// doesn't matter. The passphrase only wraps the finished zip, so it stays out.
+	async function hashExportOptions(exportTree, exportOptions) {
+		const { passphrase, ...options } = exportOptions;
+		const sortKeys = (key, value) => value && typeof value === 'object' && !Array.isArray(value)
+			? Object.fromEntries(Object.entries(value).sort(([a], [b]) => a < b ? -1 : (a > b ? 1 : 0)))
+			: value;
+		const text = JSON.stringify({ exportTree, options }, sortKeys);
+		const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+		return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+	}
+	//#endregion
+
+	//#region Git project layout
+	// A project as a directory tree meant to be committed: instructions.md, knowledge/, one Markdown
+	// file per conversation under conversations/, and project.json tying them together. Nothing in
+	// it depends on when the export ran, so two snapshots diff down to what actually changed.
+	function slugify(text) {
+		// Latin accents are dropped; other scripts' combining marks stay put
+		const slug = (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').normalize('NFC').toLowerCase()
+			.replace(/[^\p{L}\p{M}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+		return slug.slice(0, 60).replace(/-+$/, '') || 'untitled';
+	}
+
+	// A conversation keeps the path of its first export, so renaming it doesn't move the file
+	function gitConversationPath(uuid, name, previousEntry) {
+		if (previousEntry?.filename?.startsWith('conversations/')) return previousEntry.filename;
+		return `conversations/${slugify(name)}-${uuid.slice(0, 8)}.md`;
+	}
+
+	async function addGitProjectFiles(masterZip, project) {
+		const { zip: knowledgeZip, projectData } = await project.buildZip();
+		const instructions = typeof projectData.prompt_template === 'string' ? projectData.prompt_template : '';
+		await addToZip(masterZip, 'instructions.md', instructions);
+
+		const knowledge = [];
+		for (const entry of Object.values(knowledgeZip.files)) {
+			if (entry.dir) continue;
+			knowledge.push(`knowledge/${entry.name}`);
+			masterZip.file(`knowledge/${entry.name}`, await entry.async('uint8array'));
+		}
+		return { projectData, knowledge: knowledge.sort() };
+	}
+
+	// Sorted by path with plain code-unit comparison, so the order doesn't depend on the locale
+	function buildGitProjectManifest(projectId, projectData, knowledge, entries) {
+		const byPath = (a, b) => a.path < b.path ? -1 : (a.path > b.path ? 1 : 0);
+		return {
+			version: 1,
+			project: {
+				uuid: projectId,
+				name: projectData?.name ?? null,
+				description: projectData?.description ?? null
+			},
+			instructions: 'instructions.md',
+			knowledge,
+			conversations: Object.entries(entries)
+				.filter(([, entry]) => entry.filename?.startsWith('conversations/'))
+				.map(([uuid, entry]) => ({ path: entry.filename, uuid, name: entry.name, updated_at: entry.updated_at }))
+				.sort(byPath)
+		};
+	}
+	//#endregion
+
+	async function addToMasterZip(masterZip, format, filename, blob) {
+		if (format === 'obsidian') {
+			// Unpack each conversation's vault folder so the result is one vault, not a zip of zips
+			const vault = await JSZip.loadAsync(blob);
+			for (const entry of Object.values(vault.files)) {
+				if (entry.dir) continue;
+				masterZip.file(entry.name, await entry.async('uint8array'));
+			}
+			return;
+		}
+		await addToZip(masterZip, filename, blob);
+	}
+
+	// The export itself, minus the modal around it - shared by the bulk export button and the
+	// backup scheduler. `report` receives progress text, `isCancelled` is polled between steps.
+	// Resolves to { status: 'done', blob, filename, ... }, or 'empty' / 'failed' when there is
+	// nothing to write.
+	async function buildBulkExport({
+		formatSelectValue, exportOptions, projectId = null, exportTree = false, afterDate = null,
+		incremental = false, loadingModal = null, report = () => { }, isCancelled = () => false
+	}) {
+		const parts = formatSelectValue.split("_");
+		const format = parts[0];
+		const extension = parts[1];
+		const orgId = getOrgId();
+
+		// Fetch conversations (project-scoped or all)
+		const apiUrl = projectId
+			? `/api/organizations/${orgId}/projects/${projectId}/conversations_v2?limit=10000&offset=0`
+			: `/api/organizations/${orgId}/chat_conversations_v2?limit=10000&offset=0`;
+		const response = await fetch(apiUrl);
+		if (!response.ok) throw new Error('Failed to fetch conversations');
+		const allConversations = (await response.json()).data;
+		let conversations = allConversations;
+		// Keep only the last 10 conversations (THIS IS FOR TESTING - REMOVE IN RELEASE)
+		//conversations = conversations.slice(0, 10);
+
+		// Filter by date if specified
+		if (afterDate) {
+			conversations = conversations.filter(c => new Date(c.updated_at) >= afterDate);
+		}
+
+		// Deletions are judged against the unfiltered list - a date cutoff hides conversations,
+		// it doesn't delete them.
+		const manifestKey = getManifestKey(projectId, formatSelectValue);
+		const previousManifest = await getExportManifest(manifestKey);
+		const optionsHash = await hashExportOptions(exportTree, exportOptions);
+		// Files written with other options can't be topped up, so that turns into a full run
+		if (incremental && previousManifest && previousManifest.options_hash !== optionsHash) {
+			report('Export options changed since the last export - exporting everything...');
+			incremental = false;
+		}
+		const previousEntries = previousManifest?.conversations || {};
+		const liveUuids = new Set(allConversations.map(c => c.uuid));
+		const deleted = Object.entries(previousEntries)
+			.filter(([uuid]) => !liveUuids.has(uuid))
+			.map(([uuid, entry]) => ({ uuid, name: entry.name }));
+
+		if (incremental) {
+			conversations = conversations.filter(c => previousEntries[c.uuid]?.updated_at !== c.updated_at);
+		}
+
+		if (isCancelled()) return { status: 'cancelled' };
+		// Deletions alone still make an export: the manifest has to record them, or every later
+		// incremental run would find the same conversations missing again
+		if (!conversations.length && !(incremental && deleted.length)) return { status: 'empty', previousManifest, incremental };
+
+		// The list already tells us, per conversation, everything the cache needs to be
+		// judged against — so cached conversations cost an IndexedDB read instead of a
+		// full API round trip each.
+		const freshness = new Map(conversations.map(c => [c.uuid, {
+			updated_at: c.updated_at,
+			current_leaf_message_uuid: c.current_leaf_message_uuid
+		}]));
+
+		const masterZip = new JSZip();
+		const manifestEntries = {};
+		const redactions = [];
+		let completed = 0;
+		const total = conversations.length;
+		const delayMs = Math.min(2000, 100 + total);
+
+		// Split into 2 chunks for parallel processing
+		const chunk1 = conversations.filter((_, i) => i % 2 === 0);
+		const chunk2 = conversations.filter((_, i) => i % 2 === 1);
+
+		async function processChunk(chunk) {
+			const results = [];
+			for (let i = 0; i < chunk.length; i++) {
+				if (isCancelled()) return results;
+
+				const conv = chunk[i];
+				try {
+					const exported = await exportSingleConversation(
+						orgId, conv.uuid, format, extension, exportTree, exportOptions, loadingModal,
+						freshness.get(conv.uuid)
+					);
+					const { blob, wasCached, redactions: found } = exported;
+					// A path picked before redaction was switched on may carry the title it would scrub
+					const filename = format === 'git'
+						? gitConversationPath(
+							conv.uuid,
+							exportOptions.redaction ? redactText(conv.name, compileRedactionRules(exportOptions.redaction)) : conv.name,
+							exportOptions.redaction ? null : previousEntries[conv.uuid]
+						)
+						: exported.filename;
+					for (const finding of found || []) {
+						redactions.push({ ...finding, location: `${filename}: ${finding.location}` });
+					}
+					manifestEntries[conv.uuid] = { name: conv.name, updated_at: conv.updated_at, filename };
+					results.push({ filename, blob });
+
+					// Only delay on cache miss (API call) to avoid rate limiting
+					if (!wasCached && i < chunk.length - 1) {
+						await new Promise(resolve => setTimeout(resolve, delayMs));
+					}
+				} catch (error) {
+					console.error(`Failed to export conversation ${conv.uuid}:`, error);
+				}
+
+				completed++;
+				report(`Exporting ${completed} of ${total} conversations...`);
+			}
+			return results;
+		}
+
+		const [results1, results2] = await Promise.all([
+			processChunk(chunk1),
+			processChunk(chunk2)
+		]);
+
+		// Add to zip sequentially
+		const allResults = [...results1, ...results2];
+		if (format === 'analytics') {
+			// One dataset across every conversation rather than a file each
+			const ndjson = (await Promise.all(allResults.map(r => r.blob.text()))).join('');
+			const rows = ndjson.split('\n').filter(Boolean).map(line => JSON.parse(line));
+			await addToZip(masterZip, 'messages.ndjson', ndjson);
+			await addToZip(masterZip, 'messages.csv', analyticsRowsToCsv(rows));
+		} else {
+			for (const { filename, blob } of allResults) {
+				await addToMasterZip(masterZip, format, filename, blob);
+			}
+		}
+
+		// Download project files if exporting a project (skip if cancelled)
+		let projectName = 'untitled';
+		let gitProject = null;
+		if (format === 'git' && projectId && !isCancelled()) {
+			report('Downloading project knowledge...');
+			gitProject = await addGitProjectFiles(masterZip, new ClaudeProject(orgId, projectId));
+			projectName = (gitProject.projectData.name || 'untitled').replace(/[<>:"/\\|?*]/g, '_');
+		} else if (projectId && !isCancelled()) {
+			report('Downloading project files...');
+			const project = new ClaudeProject(orgId, projectId);
+			const [projectData, docs, files] = await Promise.all([project.getData(), project.getDocs(), project.getFiles()]);
+			projectName = (projectData.name || 'untitled').replace(/[<>:"/\\|?*]/g, '_');
+
+			// Save project instructions if present
+			if (projectData.prompt_template && typeof projectData.prompt_template === 'string') {
+				await addToZip(masterZip, 'project_instructions.txt', projectData.prompt_template);
+			}
+
+			for (const doc of docs) {
+				const filename = makeUniqueFilename(doc.file_name, doc.uuid);
+				await addToZip(masterZip, `project_files/${filename}`, doc.content);
+			}
+
+			for (const file of files) {
+				if (isCancelled()) break;
+
+				let downloadUrl;
+				if (file.file_kind === 'document' && file.document_asset) {
+					downloadUrl = file.document_asset.url;
+				} else if (file.file_kind === 'image') {
+					downloadUrl = file.preview_url || file.thumbnail_url;
+					if (file.preview_asset?.file_variant === 'original') {
+						downloadUrl = file.preview_asset.url;
+					} else if (file.thumbnail_asset?.file_variant === 'original') {
+						downloadUrl = file.thumbnail_asset.url;
+					}
+				} else {
+					downloadUrl = file.preview_url || file.thumbnail_url;
+				}
+
+				if (!downloadUrl) continue;
+
+				try {
+					const response = await fetch(downloadUrl);
+					if (!response.ok) {
+						console.error(`Failed to fetch project file ${file.file_name}`);
+						continue;
+					}
+					const blob = await response.blob();
+					const filename = makeUniqueFilename(file.file_name, file.file_uuid);
+
+					await addToZip(masterZip, `project_files/${filename}`, blob);
+				} catch (error) {
+					console.error(`Error downloading project file ${file.file_name}:`, error);
+				}
+			}
+		}
+
+		// Only entries that were actually exported move forward, so a cancelled run leaves the
+		// rest for the next incremental pass to pick up.
+		const nextEntries = { ...previousEntries, ...manifestEntries };
+		for (const { uuid } of deleted) delete nextEntries[uuid];
+		const manifest = {
+			version: 1,
+			format: formatSelectValue,
+			scope: projectId || 'all',
+			exported_at: new Date().toISOString(),
+			previous_export_at: previousManifest?.exported_at || null,
+			incremental,
+			options_hash: optionsHash,
+			conversations: nextEntries
+		};
 
-			// Reload to show changes
-			window.location.reload();
-		} catch (error) {
-			console.error('Replace failed:', error);
-			loadingModal.destroy();
-			showClaudeAlert('Replace Error', error.message || 'Failed to replace phantom messages');
+		// Every export failed or the run was cancelled first - the previous manifest still stands
+		if (allResults.length === 0 && !(incremental && deleted.length)) {
+			return { status: isCancelled() ? 'cancelled' : 'failed' };
 		}
-	}
-	//#endregion
 
-	async function exportSingleConversation(orgId, conversationId, format, extension, exportTree, exportOptions, loadingModal, freshnessHint = null) {
-		const conversation = new ClaudeConversation(orgId, conversationId);
-		// Bulk export passes the freshness it already learned from the conversation list. Without
-		// one there is nothing cheaper than a full fetch — a freshness check costs the same TTFB
-		// as the data itself — so skip the cache rather than pay for it twice.
-		const conversationData = freshnessHint
-			? await conversation.getData(false, freshnessHint)
-			: await conversation.getData(true);
-		const wasCached = conversation.lastGetDataFromCache;
-		const messages = await conversation.getMessages(exportTree);
-		const safeName = (conversationData.name || 'untitled').replace(/[<>:"/\\|?*]/g, '_');
-		const filename = `Claude_export_${safeName}_${conversationId}.${extension}`;
-		const exportContent = await formatExport(conversationData, messages, format, conversationId, loadingModal, exportOptions);
-		const blob = exportContent instanceof Blob
-			? exportContent
-			: new Blob([exportContent], { type: 'text/plain' });
-		return { filename, blob, wasCached, content: exportContent };
+		// Manifests shipped in the zip list conversation names, so they get the same scrub
+		const rules = exportOptions.redaction ? compileRedactionRules(exportOptions.redaction) : null;
+		const shippedJson = value => JSON.stringify(value, (key, val) =>
+			rules && key === 'name' && typeof val === 'string' ? redactText(val, rules) : val, 2);
+		if (format === 'git') {
+			// project.json takes the place of the export manifest: no timestamps of the run itself
+			await addToZip(masterZip, 'project.json', shippedJson(buildGitProjectManifest(
+				projectId, gitProject?.projectData, gitProject?.knowledge || [], nextEntries
+			)));
+		} else {
+			await addToZip(masterZip, 'export_manifest.json', shippedJson({
+				...manifest,
+				changed: allResults.map(r => r.filename),
+				deleted
+			}));
+		}
+
+		report(isCancelled() ? 'Generating partial zip file...' : 'Generating zip file...');
+		const blob = await masterZip.generateAsync({ type: 'blob' });
+
+		const suffix = incremental ? '_incremental' : '';
+		const filename = projectId
+			? `Claude_project_export_${projectName}_${projectId}${suffix}.zip`
+			: `Claude_bulk_export_${new Date().toISOString().slice(0, 10)}${suffix}.zip`;
+
+		return {
+			status: 'done', blob, filename, manifestKey, manifest,
+			conversationCount: Object.keys(manifestEntries).length,
+			redactions: exportOptions.redaction ? redactions : null
+		};
 	}
 
-	async function handleBulkExport(formatSelectValue, exportOptions, modal, projectId = null, exportTree = false, afterDate = null) {
+	async function handleBulkExport(formatSelectValue, exportOptions, modal, projectId = null, exportTree = false, afterDate = null, incremental = false) {
 		bulkExportCancelled = false;
 
 		const loadingModal = createLoadingModal('Fetching conversation list...');
@@ -1771,176 +4621,547 @@
 		try {
 			localStorage.setItem('lastExportFormat', formatSelectValue);
 
-			const parts = formatSelectValue.split("_");
-			const format = parts[0];
-			const extension = parts[1];
-			const orgId = getOrgId();
-
-			// Fetch conversations (project-scoped or all)
-			const apiUrl = projectId
-				? `/api/organizations/${orgId}/projects/${projectId}/conversations_v2?limit=10000&offset=0`
-				: `/api/organizations/${orgId}/chat_conversations_v2?limit=10000&offset=0`;
-			const response = await fetch(apiUrl);
-			if (!response.ok) throw new Error('Failed to fetch conversations');
-			let conversations = (await response.json()).data;
-			// Keep only the last 10 conversations (THIS IS FOR TESTING - REMOVE IN RELEASE)
-			//conversations = conversations.slice(0, 10);
+			const result = await buildBulkExport({
+				formatSelectValue, exportOptions, projectId, exportTree, afterDate, incremental, loadingModal,
+				report: text => loadingModal.setContent(createLoadingContent(text)),
+				isCancelled: () => bulkExportCancelled
+			});
 
-			// Filter by date if specified
-			if (afterDate) {
-				conversations = conversations.filter(c => new Date(c.updated_at) >= afterDate);
+			if (result.status === 'cancelled') {
+				loadingModal.destroy();
+				return;
 			}
 
-			if (bulkExportCancelled) {
+			if (result.status === 'empty') {
 				loadingModal.destroy();
+				const { previousManifest } = result;
+				if (result.incremental && previousManifest) {
+					showClaudeAlert('Bulk Export', `Nothing changed since the last export (${new Date(previousManifest.exported_at).toLocaleString()}).`);
+				} else {
+					showClaudeAlert('Bulk Export', 'No conversations found.');
+				}
 				return;
 			}
 
-			if (!conversations.length) {
+			if (result.status === 'failed') {
 				loadingModal.destroy();
-				showClaudeAlert('Bulk Export', 'No conversations found.');
+				showClaudeAlert('Export Error', 'None of the conversations could be exported. See the console for details.');
 				return;
 			}
 
-			// The list already tells us, per conversation, everything the cache needs to be
-			// judged against — so cached conversations cost an IndexedDB read instead of a
-			// full API round trip each.
-			const freshness = new Map(conversations.map(c => [c.uuid, {
-				updated_at: c.updated_at,
-				current_leaf_message_uuid: c.current_leaf_message_uuid
-			}]));
+			if (result.redactions) {
+				loadingModal.hide();
+				if (!await showRedactionPreview(result.redactions)) {
+					loadingModal.destroy();
+					return;
+				}
+				loadingModal.show();
+			}
 
-			const masterZip = new JSZip();
-			let completed = 0;
-			const total = conversations.length;
-			const delayMs = Math.min(2000, 100 + total);
+			if (exportOptions.passphrase) {
+				loadingModal.setContent(createLoadingContent('Encrypting...'));
+				const encrypted = await encryptExportFile(result.blob, result.filename, exportOptions.passphrase);
+				downloadBlob(encrypted.blob, encrypted.filename);
+			} else {
+				downloadBlob(result.blob, result.filename);
+			}
 
-			// Split into 2 chunks for parallel processing
-			const chunk1 = conversations.filter((_, i) => i % 2 === 0);
-			const chunk2 = conversations.filter((_, i) => i % 2 === 1);
+			await saveExportManifest(result.manifestKey, result.manifest);
 
-			async function processChunk(chunk) {
-				const results = [];
-				for (let i = 0; i < chunk.length; i++) {
-					if (bulkExportCancelled) return results;
+			loadingModal.destroy();
+			modal.hide();
+		} catch (error) {
+			console.error('Bulk export failed:', error);
+			loadingModal.destroy();
+			if (!bulkExportCancelled) {
+				showClaudeAlert('Export Error', error.message || 'Failed to bulk export conversations');
+			}
+		}
+	}
 
-					const conv = chunk[i];
-					try {
-						const { filename, blob, wasCached } = await exportSingleConversation(
-							orgId, conv.uuid, format, extension, exportTree, exportOptions, loadingModal,
-							freshness.get(conv.uuid)
-						);
-						results.push({ filename, blob });
+	//#region Passphrase encryption
+	// Exports can be sealed with a passphrase for storage on shared drives: PBKDF2-SHA256 derives
+	// an AES-GCM key, same cipher as encryptData in databases.js. File layout is the magic line,
+	// a big-endian uint32 header length, the JSON header, then the ciphertext. The header carries
+	// the KDF parameters and original filename, and is bound to the ciphertext as additional data.
+	const ENCRYPTED_EXPORT_MAGIC = 'QOLENC1\n';
+	const PASSPHRASE_ITERATIONS = 600000;
+
+	const bytesToBase64 = (bytes) => {
+		let binary = '';
+		for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+		return btoa(binary);
+	};
+	const base64ToBytes = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
 
-						// Only delay on cache miss (API call) to avoid rate limiting
-						if (!wasCached && i < chunk.length - 1) {
-							await new Promise(resolve => setTimeout(resolve, delayMs));
-						}
-					} catch (error) {
-						console.error(`Failed to export conversation ${conv.uuid}:`, error);
-					}
+	async function derivePassphraseKey(passphrase, salt, iterations) {
+		const material = await crypto.subtle.importKey(
+			'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+		);
+		return crypto.subtle.deriveKey(
+			{ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+			material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+		);
+	}
+
+	async function encryptExportFile(blob, filename, passphrase) {
+		const salt = crypto.getRandomValues(new Uint8Array(16));
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		const header = new TextEncoder().encode(JSON.stringify({
+			v: 1,
+			kdf: 'PBKDF2-SHA256',
+			iterations: PASSPHRASE_ITERATIONS,
+			salt: bytesToBase64(salt),
+			iv: bytesToBase64(iv),
+			filename
+		}));
+		const key = await derivePassphraseKey(passphrase, salt, PASSPHRASE_ITERATIONS);
+		const ciphertext = await crypto.subtle.encrypt(
+			{ name: 'AES-GCM', iv, additionalData: header }, key, await blob.arrayBuffer()
+		);
+		const headerLength = new Uint8Array(4);
+		new DataView(headerLength.buffer).setUint32(0, header.length);
+		return {
+			blob: new Blob([ENCRYPTED_EXPORT_MAGIC, headerLength, header, ciphertext], { type: 'application/octet-stream' }),
+			filename: filename + '.enc'
+		};
+	}
+
+	async function isEncryptedExport(file) {
+		if (file.size < ENCRYPTED_EXPORT_MAGIC.length + 4) return false;
+		return await file.slice(0, ENCRYPTED_EXPORT_MAGIC.length).text() === ENCRYPTED_EXPORT_MAGIC;
+	}
+
+	async function readEncryptedExport(file) {
+		const bytes = new Uint8Array(await file.arrayBuffer());
+		const offset = ENCRYPTED_EXPORT_MAGIC.length;
+		const headerLength = new DataView(bytes.buffer).getUint32(offset);
+		const headerBytes = bytes.subarray(offset + 4, offset + 4 + headerLength);
+		let header;
+		try {
+			header = JSON.parse(new TextDecoder().decode(headerBytes));
+		} catch {
+			throw new Error('Encrypted export is damaged (unreadable header)');
+		}
+		if (header.v !== 1 || header.kdf !== 'PBKDF2-SHA256') {
+			throw new Error(`Unsupported encrypted export (version ${header.v}, ${header.kdf})`);
+		}
+		return { header, headerBytes, ciphertext: bytes.subarray(offset + 4 + headerLength) };
+	}
+
+	// Returns null on a wrong passphrase; GCM can't tell that apart from a tampered file
+	async function decryptExportFile({ header, headerBytes, ciphertext }, passphrase) {
+		const key = await derivePassphraseKey(passphrase, base64ToBytes(header.salt), header.iterations);
+		try {
+			const plaintext = await crypto.subtle.decrypt(
+				{ name: 'AES-GCM', iv: base64ToBytes(header.iv), additionalData: headerBytes }, key, ciphertext
+			);
+			return new File([plaintext], header.filename);
+		} catch {
+			return null;
+		}
+	}
+
+	// Passes plain files through; for encrypted ones, asks for the passphrase until it works and
+	// returns the decrypted file under its original name. Throws USER_CANCELLED on cancel.
+	async function unlockImportFile(file) {
+		if (!await isEncryptedExport(file)) return file;
+		const encrypted = await readEncryptedExport(file);
 
-					completed++;
-					loadingModal.setContent(createLoadingContent(`Exporting ${completed} of ${total} conversations...`));
+		return new Promise((resolve, reject) => {
+			const content = document.createElement('div');
+
+			const label = document.createElement('label');
+			label.className = CLAUDE_CLASSES.LABEL;
+			label.textContent = `"${file.name}" is encrypted. Enter the passphrase it was exported with.`;
+			content.appendChild(label);
+
+			const input = createClaudeInput({ type: 'password', placeholder: 'Passphrase' });
+			input.setAttribute('data-1p-ignore', 'true');
+			content.appendChild(input);
+
+			const error = document.createElement('p');
+			error.className = CLAUDE_CLASSES.TEXT_SM + ' mt-2 text-red-600 hidden';
+			error.textContent = 'Wrong passphrase, or the file has been modified.';
+			content.appendChild(error);
+
+			const modal = new ClaudeModal('Encrypted Export', content);
+			modal.addCancel('Cancel', () => reject(new Error('USER_CANCELLED')));
+			modal.addConfirm('Unlock', async (btn) => {
+				if (!input.value) return false;
+				btn.disabled = true;
+				error.classList.add('hidden');
+				const decrypted = await decryptExportFile(encrypted, input.value);
+				btn.disabled = false;
+				if (!decrypted) {
+					error.classList.remove('hidden');
+					input.select();
+					return false;
 				}
-				return results;
-			}
+				resolve(decrypted);
+				return true;
+			});
+			modal.backdrop.onclick = (e) => {
+				if (e.target === modal.backdrop) {
+					modal.hide();
+					reject(new Error('USER_CANCELLED'));
+				}
+			};
+			modal.show();
+			input.focus();
+		});
+	}
+	//#endregion
 
-			const [results1, results2] = await Promise.all([
-				processChunk(chunk1),
-				processChunk(chunk2)
-			]);
+	//#region Offline archive
+	// Conversations archived from the GDPR export (see archiveViaExport in global-search.js),
+	// browsed and exported without touching the API - they may no longer exist on the account.
+	function hydrateArchivedConversation(archived) {
+		const conversation = new ClaudeConversation(null, archived.uuid);
+		const rawMessages = (archived.chat_messages || []).map(msg => ({
+			...msg,
+			// Older exports only carry the flattened text
+			content: msg.content?.length ? msg.content : [{ type: 'text', text: msg.text || '' }]
+		}));
 
-			// Add to zip sequentially
-			const allResults = [...results1, ...results2];
-			for (const { filename, blob } of allResults) {
-				await addToZip(masterZip, filename, blob);
+		// Exports without parent links are a single linear branch in array order
+		if (!rawMessages.some(m => m.parent_message_uuid)) {
+			let parentId = ROOT_MESSAGE_UUID;
+			for (const msg of rawMessages) {
+				msg.parent_message_uuid = parentId;
+				parentId = msg.uuid;
 			}
+		}
 
-			// Download project files if exporting a project (skip if cancelled)
-			let projectName = 'untitled';
-			if (projectId && !bulkExportCancelled) {
-				loadingModal.setContent(createLoadingContent('Downloading project files...'));
-				const project = new ClaudeProject(orgId, projectId);
-				const [projectData, docs, files] = await Promise.all([project.getData(), project.getDocs(), project.getFiles()]);
-				projectName = (projectData.name || 'untitled').replace(/[<>:"/\\|?*]/g, '_');
+		const conversationData = {
+			...archived,
+			chat_messages: rawMessages,
+			current_leaf_message_uuid: archived.current_leaf_message_uuid || rawMessages[rawMessages.length - 1]?.uuid
+		};
+		const tree = rawMessages.map(msg => ClaudeMessage.fromHistoryJSON(conversation, msg));
+		const byId = new Map(tree.map(m => [m.uuid, m]));
+		const branch = [];
+		let current = byId.get(conversationData.current_leaf_message_uuid);
+		while (current) {
+			branch.unshift(current);
+			current = byId.get(current.parent_message_uuid);
+		}
 
-				// Save project instructions if present
-				if (projectData.prompt_template && typeof projectData.prompt_template === 'string') {
-					await addToZip(masterZip, 'project_instructions.txt', projectData.prompt_template);
-				}
+		return { conversationData, tree, branch };
+	}
 
-				for (const doc of docs) {
-					const filename = makeUniqueFilename(doc.file_name, doc.uuid);
-					await addToZip(masterZip, `project_files/${filename}`, doc.content);
-				}
+	async function exportArchivedConversation(uuid, formatValue, loadingModal) {
+		const archived = await window.ClaudeSearchShared.conversationArchive.get(uuid);
+		if (!archived) throw new Error('Conversation is no longer in the archive');
 
-				for (const file of files) {
-					if (bulkExportCancelled) break;
+		const [format, extension] = formatValue.split('_');
+		const { conversationData, tree, branch } = hydrateArchivedConversation(archived);
+		const treeFormats = ['html', 'zip', 'obsidian', 'md', 'raw', 'librechat'];
+		const messages = treeFormats.includes(format) ? tree : branch;
 
-					let downloadUrl;
-					if (file.file_kind === 'document' && file.document_asset) {
-						downloadUrl = file.document_asset.url;
-					} else if (file.file_kind === 'image') {
-						downloadUrl = file.preview_url || file.thumbnail_url;
-						if (file.preview_asset?.file_variant === 'original') {
-							downloadUrl = file.preview_asset.url;
-						} else if (file.thumbnail_asset?.file_variant === 'original') {
-							downloadUrl = file.thumbnail_asset.url;
-						}
-					} else {
-						downloadUrl = file.preview_url || file.thumbnail_url;
-					}
+		const content = await formatExport(conversationData, messages, format, uuid, loadingModal, {});
+		const blob = content instanceof Blob ? content : new Blob([content], { type: 'text/plain' });
+		const safeName = (conversationData.name || 'untitled').replace(/[<>:"/\\|?*]/g, '_');
+		return { filename: `Claude_archive_${safeName}_${uuid}.${extension}`, blob, format };
+	}
 
-					if (!downloadUrl) continue;
+	function downloadBlob(blob, filename) {
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = filename;
+		link.click();
+		URL.revokeObjectURL(url);
+	}
 
-					try {
-						const response = await fetch(downloadUrl);
-						if (!response.ok) {
-							console.error(`Failed to fetch project file ${file.file_name}`);
-							continue;
-						}
-						const blob = await response.blob();
-						const filename = makeUniqueFilename(file.file_name, file.file_uuid);
+	async function viewArchivedConversation(uuid) {
+		// Opened before the first await, while the click still counts as a user gesture -
+		// popup blockers refuse a window.open that comes after the rendering.
+		const tab = window.open('about:blank', '_blank');
+		if (!tab) throw new Error('The browser blocked the new tab. Allow pop-ups for claude.ai and try again.');
+		try {
+			const archived = await window.ClaudeSearchShared.conversationArchive.get(uuid);
+			if (!archived) throw new Error('Conversation is no longer in the archive');
+
+			const { conversationData, branch } = hydrateArchivedConversation(archived);
+			const html = await formatHtmlExport(conversationData, branch, uuid, { includeImages: false });
+			const url = URL.createObjectURL(new Blob([makeStaticHtml(html)], { type: 'text/html' }));
+			tab.location.href = url;
+			// The tab holds its own reference once loaded
+			setTimeout(() => URL.revokeObjectURL(url), 60000);
+		} catch (error) {
+			tab.close();
+			throw error;
+		}
+	}
+
+	async function showArchiveModal() {
+		const archive = window.ClaudeSearchShared.conversationArchive;
+		const entries = await archive.list();
+
+		// Flag what the account no longer has. Best effort: offline, everything just looks present.
+		let liveUuids = null;
+		try {
+			const response = await fetch(`/api/organizations/${getOrgId()}/chat_conversations_v2?limit=10000&offset=0`);
+			if (response.ok) liveUuids = new Set((await response.json()).data.map(c => c.uuid));
+		} catch (e) {
+			console.warn('[Exporter] Could not fetch conversation list for archive:', e);
+		}
+
+		const content = document.createElement('div');
+
+		const controls = document.createElement('div');
+		controls.className = 'mb-3 flex gap-2';
+		const searchInput = createClaudeInput({ type: 'text', placeholder: 'Filter by name...' });
+		searchInput.style.flex = '1';
+		controls.appendChild(searchInput);
+		const archiveFormats = ALL_EXPORT_FORMATS.filter(f => !f.singleOnly && !f.bulkOnly && !f.projectOnly);
+		const formatSelect = createClaudeSelect(
+			archiveFormats.map(f => ({ value: f.value, label: f.label })),
+			'html_html'
+		);
+		formatSelect.style.maxWidth = '12rem';
+		controls.appendChild(formatSelect);
+		content.appendChild(controls);
+
+		const summary = document.createElement('p');
+		summary.className = CLAUDE_CLASSES.TEXT_MUTED + ' mb-2';
+		const deletedCount = liveUuids ? entries.filter(e => !liveUuids.has(e.uuid)).length : 0;
+		summary.textContent = `${entries.length} archived conversation(s)` +
+			(deletedCount ? `, ${deletedCount} no longer on the account` : '') + '.';
+		content.appendChild(summary);
+
+		const lockedCount = entries.filter(e => e.locked).length;
+		if (lockedCount) {
+			const lockedWarning = document.createElement('p');
+			lockedWarning.className = 'text-sm text-red-600 mb-2';
+			lockedWarning.textContent = `${lockedCount} conversation(s) are locked: they were archived under an encryption key that is not available right now ` +
+				'(its skill was deleted, or they belong to another organization). They are kept, not deleted, and open again once that key is back.';
+			content.appendChild(lockedWarning);
+		}
+
+		const list = document.createElement('div');
+		list.className = CLAUDE_CLASSES.LIST_CONTAINER;
+		list.style.maxHeight = '50vh';
+		content.appendChild(list);
+
+		const runAction = async (label, action) => {
+			const loadingModal = createLoadingModal(label);
+			loadingModal.show();
+			try {
+				await action(loadingModal);
+			} catch (error) {
+				console.error('[Exporter] Archive action failed:', error);
+				showClaudeAlert('Archive Error', error.message || 'Archive action failed');
+			} finally {
+				loadingModal.destroy();
+			}
+		};
+
+		const renderList = () => {
+			list.innerHTML = '';
+			const query = searchInput.value.trim().toLowerCase();
+			const visible = entries.filter(e => !query || (e.name || '').toLowerCase().includes(query));
+
+			for (const entry of visible) {
+				const row = document.createElement('div');
+				row.className = CLAUDE_CLASSES.LIST_ITEM + ' flex items-center gap-2';
+				row.style.cursor = 'default';
+
+				const info = document.createElement('div');
+				info.className = 'flex-1 min-w-0';
+				const name = document.createElement('div');
+				name.className = 'text-sm truncate';
+				name.textContent = entry.name || 'Untitled';
+				info.appendChild(name);
+				const meta = document.createElement('div');
+				meta.className = CLAUDE_CLASSES.TEXT_SM;
+				const isDeleted = liveUuids && !liveUuids.has(entry.uuid);
+				meta.textContent = `${new Date(entry.updated_at).toLocaleDateString()} · ${entry.message_count} messages` +
+					(isDeleted ? ' · deleted from account' : '') +
+					(entry.locked ? ' · 🔒 locked' : '');
+				info.appendChild(meta);
+				row.appendChild(info);
+
+				const viewBtn = createClaudeButton('View', 'secondary');
+				viewBtn.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs');
+				viewBtn.disabled = entry.locked;
+				viewBtn.onclick = () => runAction('Rendering...', () => viewArchivedConversation(entry.uuid));
+				row.appendChild(viewBtn);
+
+				const exportBtn = createClaudeButton('Export', 'secondary');
+				exportBtn.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs');
+				exportBtn.disabled = entry.locked;
+				exportBtn.onclick = () => runAction('Exporting...', async (loadingModal) => {
+					const { filename, blob } = await exportArchivedConversation(entry.uuid, formatSelect.value, loadingModal);
+					downloadBlob(blob, filename);
+				});
+				row.appendChild(exportBtn);
+
+				list.appendChild(row);
+			}
 
-						await addToZip(masterZip, `project_files/${filename}`, blob);
+			if (visible.length === 0) {
+				const empty = document.createElement('p');
+				empty.className = CLAUDE_CLASSES.TEXT_MUTED;
+				empty.textContent = entries.length ? 'No matches.' : 'The archive is empty. Use "Update Archive" to fill it.';
+				list.appendChild(empty);
+			}
+		};
+		searchInput.addEventListener('input', renderList);
+		renderList();
+
+		const modal = new ClaudeModal('Offline Archive', content);
+		modal.modal.classList.remove('max-w-md');
+		modal.modal.classList.add('max-w-2xl');
+		modal.addCancel('Close');
+		if (entries.some(e => !e.locked)) {
+			modal.addConfirm('Export All', () => runAction('Exporting archive...', async (loadingModal) => {
+				const masterZip = new JSZip();
+				const unlocked = entries.filter(e => !e.locked);
+				for (let i = 0; i < unlocked.length; i++) {
+					loadingModal.setContent(createLoadingContent(`Exporting ${i + 1} of ${unlocked.length} archived conversations...`));
+					try {
+						const { filename, blob, format } = await exportArchivedConversation(unlocked[i].uuid, formatSelect.value, null);
+						await addToMasterZip(masterZip, format, filename, blob);
 					} catch (error) {
-						console.error(`Error downloading project file ${file.file_name}:`, error);
+						console.error(`[Exporter] Failed to export archived conversation ${unlocked[i].uuid}:`, error);
 					}
 				}
-			}
+				loadingModal.setContent(createLoadingContent('Generating zip file...'));
+				downloadBlob(await masterZip.generateAsync({ type: 'blob' }), `Claude_archive_export_${new Date().toISOString().slice(0, 10)}.zip`);
+			}), false);
+		}
+		modal.show();
+	}
 
-			// Always proceed to zip generation if there are results
-			if (allResults.length === 0) {
-				loadingModal.destroy();
-				return;
-			}
+	async function handleUpdateArchive() {
+		const confirmed = await showClaudeConfirm(
+			'Update Archive',
+			'This requests a full data export from Claude and stores every conversation in it locally. The export can take several minutes to be generated. Continue?'
+		);
+		if (!confirmed) return;
+
+		try {
+			const archived = await window.ClaudeSearchShared.archiveViaExport();
+			showClaudeAlert('Archive Updated', `${archived} conversation(s) archived.`);
+		} catch (error) {
+			if (error.message === 'USER_CANCEL') return;
+			console.error('[Exporter] Archive update failed:', error);
+			showClaudeAlert('Archive Error', error.message || 'Failed to update the archive');
+		}
+	}
+	//#endregion
 
-			loadingModal.setContent(createLoadingContent(bulkExportCancelled ? 'Generating partial zip file...' : 'Generating zip file...'));
-			const masterBlob = await masterZip.generateAsync({ type: 'blob' });
+	//#region Scheduled backups
+	// A full bulk export on a timer, kept as zip snapshots in IndexedDB (see BackupStore in
+	// databases.js). It only runs while a claude.ai tab is open; with several open, the Web Lock
+	// makes sure just one of them does the work.
+	const BACKUP_INTERVALS_MS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+	const BACKUP_CHECK_MS = 10 * 60 * 1000;
+	const BACKUP_RETRY_MS = 60 * 60 * 1000;
+	const BACKUP_FORMATS = ALL_EXPORT_FORMATS.filter(f => !f.singleOnly && !f.bulkOnly && !f.projectOnly);
+	let lastBackupFailure = 0;
+
+	async function createBackup(report = () => { }) {
+		const savedFormat = await settingsRegistry.get(SETTINGS_KEYS.BACKUP.FORMAT);
+		const formatSelectValue = BACKUP_FORMATS.some(f => f.value === savedFormat) ? savedFormat : 'raw_json';
+
+		// Backups never touch the export manifests - those track what the user downloaded
+		const result = await buildBulkExport({
+			formatSelectValue,
+			exportOptions: { includeThinking: true, includeAttachments: true, includeImages: false },
+			exportTree: true,
+			report
+		});
 
-			const url = URL.createObjectURL(masterBlob);
-			const link = document.createElement('a');
-			link.href = url;
-			if (projectId) {
-				link.download = `Claude_project_export_${projectName}_${projectId}.zip`;
-			} else {
-				link.download = `Claude_bulk_export_${new Date().toISOString().slice(0, 10)}.zip`;
+		if (result.status === 'done') {
+			const retention = await settingsRegistry.get(SETTINGS_KEYS.BACKUP.RETENTION);
+			const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+			await window.ClaudeSearchShared.backupStore.put({
+				blob: result.blob,
+				filename: `Claude_backup_${stamp}.zip`,
+				conversationCount: result.conversationCount
+			}, retention);
+			// Only a stored snapshot counts as a backup, for the schedule and for the modal
+			await settingsRegistry.set(SETTINGS_KEYS.BACKUP.LAST_RUN, new Date().toISOString());
+		}
+
+		return result;
+	}
+
+	async function checkBackupSchedule() {
+		const interval = await settingsRegistry.get(SETTINGS_KEYS.BACKUP.INTERVAL);
+		const period = BACKUP_INTERVALS_MS[interval];
+		if (!period || Date.now() - lastBackupFailure < BACKUP_RETRY_MS) return;
+
+		await navigator.locks.request('qol-backup', { ifAvailable: true }, async (lock) => {
+			if (!lock) return; // Another tab is already backing up
+
+			// Re-read inside the lock - another tab may have just finished a run
+			const lastRun = await settingsRegistry.get(SETTINGS_KEYS.BACKUP.LAST_RUN);
+			if (lastRun && Date.now() - new Date(lastRun).getTime() < period) return;
+
+			try {
+				console.log('[Exporter] Running scheduled backup...');
+				const result = await createBackup();
+				console.log(`[Exporter] Scheduled backup finished (${result.status})`);
+				// Nothing was stored, so LAST_RUN didn't move - wait like after a failure instead of
+				// listing every conversation again on the next check
+				if (result.status !== 'done') lastBackupFailure = Date.now();
+			} catch (error) {
+				lastBackupFailure = Date.now();
+				console.error('[Exporter] Scheduled backup failed:', error);
 			}
-			link.click();
-			URL.revokeObjectURL(url);
+		});
+	}
 
+	async function handleBackupNow() {
+		const loadingModal = createLoadingModal('Waiting for other tabs...');
+		loadingModal.show();
+
+		try {
+			const result = await navigator.locks.request('qol-backup', () =>
+				createBackup(text => loadingModal.setContent(createLoadingContent(text)))
+			);
 			loadingModal.destroy();
-			modal.hide();
+			if (result.status === 'done') {
+				showClaudeAlert('Backup Complete', `Backed up ${result.conversationCount} conversation(s).`);
+			} else if (result.status === 'empty') {
+				showClaudeAlert('Backup', 'No backup was created: there are no conversations to back up.');
+			} else if (result.status === 'cancelled') {
+				showClaudeAlert('Backup', 'No backup was created: the backup was cancelled.');
+			} else {
+				showClaudeAlert('Backup', `No backup was created (${result.status}).`);
+			}
 		} catch (error) {
-			console.error('Bulk export failed:', error);
+			console.error('[Exporter] Backup failed:', error);
 			loadingModal.destroy();
-			if (!bulkExportCancelled) {
-				showClaudeAlert('Export Error', error.message || 'Failed to bulk export conversations');
+			showClaudeAlert('Backup Error', error.message || 'Failed to create a backup');
+		}
+	}
+
+	async function handleDownloadLatestBackup() {
+		try {
+			const latest = await window.ClaudeSearchShared.backupStore.getLatest();
+			if (!latest) {
+				showClaudeAlert('Backups', 'There are no backups yet.');
+				return;
 			}
+			downloadBlob(latest.blob, latest.filename);
+		} catch (error) {
+			console.error('[Exporter] Failed to read backup:', error);
+			showClaudeAlert('Backup Error', error.message || 'Failed to read the latest backup');
 		}
 	}
 
+	function startBackupScheduler() {
+		// First check waits a bit so it doesn't compete with the page loading
+		setTimeout(checkBackupSchedule, 60 * 1000);
+		setInterval(checkBackupSchedule, BACKUP_CHECK_MS);
+	}
+	//#endregion
+
 	async function showExportImportModal() {
 		const conversationId = getConversationId();
 		const projectId = getProjectId();
@@ -1954,7 +5175,12 @@
 		const content = document.createElement('div');
 
 		// Variables to hold references (may not be created)
-		let formatSelect, toggleInput, thinkingToggleInput, attachmentsToggleInput, imagesToggleInput, dateInput;
+		let formatSelect, toggleInput, thinkingToggleInput, attachmentsToggleInput, imagesToggleInput, dateInput, incrementalToggleInput;
+		let chapterModeSelect, chapterSizeInput;
+		let themeSelect;
+		let encryptToggleInput, passphraseInput, passphraseConfirmInput;
+		let redactToggleInput;
+		let rangeToggleInput, rangeFromSelect, rangeToSelect;
 
 		//#region Export section (always shown, context-aware)
 		{
@@ -1967,17 +5193,9 @@
 			const exportContainer = document.createElement('div');
 			exportContainer.className = 'mb-4 flex gap-2';
 
-			// Format descriptors. `copyable` marks whether the format produces a plain
-			// string that can go to the clipboard (zip is binary/Blob, so it cannot).
-			const EXPORT_FORMATS = [
-				{ value: 'html_html', label: 'HTML (.html)', copyable: true },
-				{ value: 'zip_zip', label: 'Zip (.zip)', copyable: false },
-				{ value: 'md_md', label: 'Markdown (.md)', copyable: true },
-				{ value: 'txt_txt', label: 'Text (.txt)', copyable: true },
-				{ value: 'jsonl_jsonl', label: 'SillyTavern (.jsonl)', copyable: true },
-				{ value: 'librechat_json', label: 'Librechat (.json)', copyable: true },
-				{ value: 'raw_json', label: 'Anthropic JSON (.json)', copyable: true }
-			];
+			const EXPORT_FORMATS = ALL_EXPORT_FORMATS.filter(f => isInConversation
+				? !f.bulkOnly
+				: !f.singleOnly && (!f.projectOnly || isOnProjectPage));
 			const isCopyable = (v) => EXPORT_FORMATS.find(f => f.value === v)?.copyable ?? false;
 
 			// Fall back if the saved format is no longer offered
@@ -2001,7 +5219,8 @@
 			let copyButton;
 			const syncCopyEnabled = () => {
 				if (!copyButton) return;
-				const ok = isCopyable(formatSelect.value);
+				// Copying would put plaintext on the clipboard, bypassing the requested encryption
+				const ok = isCopyable(formatSelect.value) && !encryptToggleInput?.checked;
 				copyButton.disabled = !ok;
 				copyButton.classList.toggle('opacity-50', !ok);
 				copyButton.classList.toggle('cursor-not-allowed', !ok);
@@ -2019,12 +5238,76 @@
 			treeOption.id = 'treeOption';
 			treeOption.className = 'mb-4 hidden';
 
-			const initialTreeDefault = ['html', 'zip'].includes(selectedFormat.split('_')[0]);
+			const initialTreeDefault = ['html', 'zip', 'obsidian', 'analytics'].includes(selectedFormat.split('_')[0]);
 			const { container: toggleContainer, input: treeToggleInput } = createClaudeToggle('Export entire tree', initialTreeDefault);
 			toggleInput = treeToggleInput;
 			treeOption.appendChild(toggleContainer);
 			content.appendChild(treeOption);
 
+			// Range option (single conversation): only the path between two messages
+			const rangeOption = document.createElement('div');
+			rangeOption.className = 'mb-4' + (isInConversation ? '' : ' hidden');
+
+			const { container: rangeToggleContainer, input: rangeInput } = createClaudeToggle('Export only a range of messages', false);
+			rangeToggleInput = rangeInput;
+			rangeOption.appendChild(rangeToggleContainer);
+
+			const rangeFields = document.createElement('div');
+			rangeFields.className = 'mt-2 hidden';
+			rangeFromSelect = createClaudeSearchableSelect([], '');
+			rangeToSelect = createClaudeSearchableSelect([], '');
+			for (const [labelText, select] of [['From', rangeFromSelect], ['To', rangeToSelect]]) {
+				const label = document.createElement('label');
+				label.className = CLAUDE_CLASSES.LABEL + ' mt-2';
+				label.textContent = labelText;
+				rangeFields.appendChild(label);
+				rangeFields.appendChild(select);
+			}
+			rangeOption.appendChild(rangeFields);
+			content.appendChild(rangeOption);
+
+			// Messages on the current branch in order, bookmarks called out, plus bookmarks that sit
+			// on other branches. Loaded the first time the range is switched on.
+			let rangeLoaded = false;
+			rangeToggleInput.addEventListener('change', async () => {
+				rangeFields.classList.toggle('hidden', !rangeToggleInput.checked);
+				toggleInput.disabled = rangeToggleInput.checked; // a range is always one linear path
+				if (!rangeToggleInput.checked || rangeLoaded) return;
+				rangeLoaded = true;
+
+				try {
+					const conversation = new ClaudeConversation(getOrgId(), conversationId);
+					const tree = await conversation.getMessages(true);
+					const branch = currentBranchOf(conversation.conversationData, tree);
+					const bookmarks = (await settingsRegistry.get(SETTINGS_KEYS.NAVIGATION.BOOKMARKS))[conversationId] || {};
+					const bookmarkByUuid = new Map(Object.entries(bookmarks).map(([name, uuid]) => [uuid, name]));
+
+					const snippet = msg => {
+						const text = ClaudeConversation.extractMessageText(msg).replace(/\s+/g, ' ').trim();
+						return text.length > 60 ? text.slice(0, 60) + '…' : text;
+					};
+					const options = branch.map((msg, i) => {
+						const bookmark = bookmarkByUuid.get(msg.uuid);
+						const who = msg.sender === 'human' ? 'You' : 'Claude';
+						return { value: msg.uuid, label: `${bookmark ? `📍 ${bookmark} · ` : ''}${i + 1}. ${who}: ${snippet(msg)}` };
+					});
+					const onBranch = new Set(branch.map(msg => msg.uuid));
+					const treeUuids = new Set(tree.map(msg => msg.uuid));
+					for (const [name, uuid] of Object.entries(bookmarks)) {
+						if (!onBranch.has(uuid) && treeUuids.has(uuid)) {
+							options.push({ value: uuid, label: `📍 ${name} (other branch)` });
+						}
+					}
+
+					rangeFromSelect.populateOptions(options, options[0]?.value);
+					rangeToSelect.populateOptions(options, branch[branch.length - 1]?.uuid);
+				} catch (error) {
+					console.error('[Exporter] Failed to load messages for range:', error);
+					rangeLoaded = false;
+					showClaudeAlert('Export Error', 'Could not load the messages of this conversation.');
+				}
+			});
+
 			// Thinking option container (for markdown export)
 			const thinkingOption = document.createElement('div');
 			thinkingOption.id = 'thinkingOption';
@@ -2053,12 +5336,65 @@
 			imagesOption.id = 'imagesOption';
 			imagesOption.className = 'mb-4 hidden';
 
-			const initialImagesDefault = selectedFormat.split('_')[0] === 'html';
+			const initialImagesDefault = ['html', 'pdf', 'epub', 'docx'].includes(selectedFormat.split('_')[0]);
 			const { container: imagesToggleContainer, input: imagesInput } = createClaudeToggle('Include images', initialImagesDefault);
 			imagesToggleInput = imagesInput;
 			imagesOption.appendChild(imagesToggleContainer);
 			content.appendChild(imagesOption);
 
+			// Chapter option (epub export)
+			const chapterOption = document.createElement('div');
+			chapterOption.className = 'mb-4 hidden';
+
+			const chapterLabel = document.createElement('label');
+			chapterLabel.className = CLAUDE_CLASSES.LABEL;
+			chapterLabel.textContent = 'Chapters';
+			chapterOption.appendChild(chapterLabel);
+
+			const chapterRow = document.createElement('div');
+			chapterRow.className = 'flex gap-2';
+			chapterModeSelect = createClaudeSelect([
+				{ value: 'exchanges', label: 'Every N exchanges' },
+				{ value: 'bookmarks', label: 'At bookmarks' }
+			], 'exchanges', () => {
+				chapterSizeInput.classList.toggle('hidden', chapterModeSelect.value !== 'exchanges');
+			});
+			chapterRow.appendChild(chapterModeSelect);
+			chapterSizeInput = createClaudeInput({ type: 'number', value: '10' });
+			chapterSizeInput.min = '1';
+			chapterSizeInput.title = 'Exchanges per chapter';
+			chapterSizeInput.classList.add('!w-24');
+			chapterRow.appendChild(chapterSizeInput);
+			chapterOption.appendChild(chapterRow);
+			content.appendChild(chapterOption);
+
+			// Theme option (html/pdf export)
+			const themeOption = document.createElement('div');
+			themeOption.className = 'mb-4 hidden';
+
+			const themeLabel = document.createElement('label');
+			themeLabel.className = CLAUDE_CLASSES.LABEL;
+			themeLabel.textContent = 'Theme';
+			themeOption.appendChild(themeLabel);
+
+			const themeRow = document.createElement('div');
+			themeRow.className = 'flex gap-2';
+			const themeOptions = async () => (await listHtmlThemes()).map(theme => ({ value: theme.id, label: theme.name }));
+			themeSelect = createClaudeSelect(
+				await themeOptions(),
+				(await resolveHtmlTheme()).id,
+				() => settingsRegistry.set(SETTINGS_KEYS.EXPORTER.HTML_THEME, themeSelect.value)
+			);
+			themeRow.appendChild(themeSelect);
+			const manageThemesButton = createClaudeButton('Manage', 'secondary', () => {
+				showHtmlThemeListModal(async () => {
+					themeSelect.populateOptions(await themeOptions(), (await resolveHtmlTheme()).id);
+				});
+			});
+			themeRow.appendChild(manageThemesButton);
+			themeOption.appendChild(themeRow);
+			content.appendChild(themeOption);
+
 			// Date filter option (bulk export only)
 			const dateOption = document.createElement('div');
 			dateOption.className = 'mb-4' + (isInConversation ? ' hidden' : '');
@@ -2072,32 +5408,105 @@
 			dateOption.appendChild(dateInput);
 			content.appendChild(dateOption);
 
+			// Incremental option (bulk export only): skip conversations unchanged since the last
+			// export of this scope and format, and list the ones deleted since.
+			const incrementalOption = document.createElement('div');
+			incrementalOption.className = 'mb-4' + (isInConversation ? ' hidden' : '');
+
+			const { container: incrementalToggleContainer, input: incrementalInput } = createClaudeToggle('Only export changes since last export', false);
+			incrementalToggleInput = incrementalInput;
+			incrementalOption.appendChild(incrementalToggleContainer);
+			content.appendChild(incrementalOption);
+
+			// Redaction (any format)
+			const redactionSettings = await getRedactionSettings();
+			const redactOption = document.createElement('div');
+			redactOption.className = 'mb-4 flex items-center gap-2';
+
+			const { container: redactToggleContainer, input: redactInput } = createClaudeToggle('Redact personal data', redactionSettings.enabled);
+			redactToggleInput = redactInput;
+			redactToggleInput.addEventListener('change', async () => {
+				await settingsRegistry.set(SETTINGS_KEYS.EXPORTER.REDACTION, { ...await getRedactionSettings(), enabled: redactToggleInput.checked });
+			});
+			redactOption.appendChild(redactToggleContainer);
+
+			const redactRulesButton = createClaudeButton('Rules', 'secondary', () => showRedactionSettingsModal());
+			redactRulesButton.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs');
+			redactOption.appendChild(redactRulesButton);
+			content.appendChild(redactOption);
+
+			// Passphrase encryption (any downloaded format)
+			const encryptOption = document.createElement('div');
+			encryptOption.className = 'mb-4';
+
+			const { container: encryptToggleContainer, input: encryptInput } = createClaudeToggle('Encrypt with passphrase', false);
+			encryptToggleInput = encryptInput;
+			encryptOption.appendChild(encryptToggleContainer);
+
+			const passphraseRow = document.createElement('div');
+			passphraseRow.className = 'flex gap-2 mt-2 hidden';
+			passphraseInput = createClaudeInput({ type: 'password', placeholder: 'Passphrase' });
+			passphraseConfirmInput = createClaudeInput({ type: 'password', placeholder: 'Repeat passphrase' });
+			for (const input of [passphraseInput, passphraseConfirmInput]) {
+				input.setAttribute('autocomplete', 'new-password');
+				passphraseRow.appendChild(input);
+			}
+			encryptOption.appendChild(passphraseRow);
+			encryptToggleInput.addEventListener('change', () => {
+				passphraseRow.classList.toggle('hidden', !encryptToggleInput.checked);
+				syncCopyEnabled();
+			});
+			content.appendChild(encryptOption);
+
 			// Show/hide options based on initial value
 			const initialFormat = selectedFormat.split('_')[0];
-			treeOption.classList.toggle('hidden', !['librechat', 'raw', 'html', 'zip'].includes(initialFormat));
-			thinkingOption.classList.toggle('hidden', initialFormat !== 'md');
-			attachmentsOption.classList.toggle('hidden', initialFormat !== 'md');
-			imagesOption.classList.toggle('hidden', !['librechat', 'html'].includes(initialFormat));
+			treeOption.classList.toggle('hidden', !['librechat', 'raw', 'html', 'zip', 'obsidian', 'md', 'git', 'analytics'].includes(initialFormat));
+			thinkingOption.classList.toggle('hidden', !['md', 'git', 'obsidian', 'epub', 'docx'].includes(initialFormat));
+			attachmentsOption.classList.toggle('hidden', !['md', 'git'].includes(initialFormat));
+			imagesOption.classList.toggle('hidden', !['librechat', 'html', 'pdf', 'epub', 'docx'].includes(initialFormat));
+			chapterOption.classList.toggle('hidden', initialFormat !== 'epub');
+			themeOption.classList.toggle('hidden', !['html', 'pdf'].includes(initialFormat));
+			encryptOption.classList.toggle('hidden', initialFormat === 'pdf');
 			syncCopyEnabled();
 
 			// Update option visibility on select change
 			formatSelect.onchange = () => {
 				const format = formatSelect.value.split('_')[0];
-				treeOption.classList.toggle('hidden', !['librechat', 'raw', 'html', 'zip'].includes(format));
-				thinkingOption.classList.toggle('hidden', format !== 'md');
-				attachmentsOption.classList.toggle('hidden', format !== 'md');
-				imagesOption.classList.toggle('hidden', !['librechat', 'html'].includes(format));
-				toggleInput.checked = ['html', 'zip'].includes(format);
-				imagesToggleInput.checked = format === 'html';
+				treeOption.classList.toggle('hidden', !['librechat', 'raw', 'html', 'zip', 'obsidian', 'md', 'git', 'analytics'].includes(format));
+				thinkingOption.classList.toggle('hidden', !['md', 'git', 'obsidian', 'epub', 'docx'].includes(format));
+				attachmentsOption.classList.toggle('hidden', !['md', 'git'].includes(format));
+				imagesOption.classList.toggle('hidden', !['librechat', 'html', 'pdf', 'epub', 'docx'].includes(format));
+				chapterOption.classList.toggle('hidden', format !== 'epub');
+				themeOption.classList.toggle('hidden', !['html', 'pdf'].includes(format));
+				encryptOption.classList.toggle('hidden', format === 'pdf');
+				toggleInput.checked = ['html', 'zip', 'obsidian', 'analytics'].includes(format);
+				imagesToggleInput.checked = ['html', 'pdf', 'epub', 'docx'].includes(format);
 				syncCopyEnabled();
 			};
 
 			// Export button handler
 			exportButton.onclick = async () => {
+				// PDF goes to the print dialog, so there is no file to encrypt
+				const encrypt = encryptToggleInput.checked && formatSelect.value.split('_')[0] !== 'pdf';
+				if (encrypt && !passphraseInput.value) {
+					showClaudeAlert('Passphrase required', 'Enter a passphrase to encrypt the export with.');
+					return;
+				}
+				if (encrypt && passphraseInput.value !== passphraseConfirmInput.value) {
+					showClaudeAlert('Passphrase mismatch', 'The two passphrases don\'t match.');
+					return;
+				}
+
 				const exportOptions = {
 					includeThinking: thinkingToggleInput?.checked ?? true,
 					includeAttachments: attachmentsToggleInput?.checked ?? false,
-					includeImages: imagesToggleInput?.checked ?? false
+					includeImages: imagesToggleInput?.checked ?? false,
+					chapterMode: chapterModeSelect.value,
+					chapterSize: chapterSizeInput.value,
+					htmlTheme: themeSelect.value,
+					passphrase: encrypt ? passphraseInput.value : null,
+					redaction: redactToggleInput.checked ? await getRedactionSettings() : null,
+					range: rangeToggleInput.checked ? { from: rangeFromSelect.value, to: rangeToSelect.value } : null
 				};
 
 				if (isInConversation) {
@@ -2114,16 +5523,33 @@
 						const exportTree = toggleInput.checked;
 						const orgId = getOrgId();
 
-						const { filename, blob } = await exportSingleConversation(
+						const { filename, blob, content: exportContent, redactions } = await exportSingleConversation(
 							orgId, conversationId, format, extension, exportTree, exportOptions, loadingModal
 						);
 
-						const url = URL.createObjectURL(blob);
-						const link = document.createElement('a');
-						link.href = url;
-						link.download = filename;
-						link.click();
-						URL.revokeObjectURL(url);
+						if (redactions) {
+							loadingModal.hide();
+							if (!await showRedactionPreview(redactions)) {
+								loadingModal.destroy();
+								return;
+							}
+							loadingModal.show();
+						}
+
+						if (format === 'pdf') {
+							loadingModal.destroy();
+							modal.hide();
+							await printHtmlDocument(exportContent);
+							return;
+						}
+
+						if (exportOptions.passphrase) {
+							loadingModal.setContent(createLoadingContent('Encrypting...'));
+							const encrypted = await encryptExportFile(blob, filename, exportOptions.passphrase);
+							downloadBlob(encrypted.blob, encrypted.filename);
+						} else {
+							downloadBlob(blob, filename);
+						}
 
 						loadingModal.destroy();
 						modal.hide();
@@ -2135,18 +5561,23 @@
 				} else {
 					// Bulk export (all conversations or project-scoped)
 					const afterDate = dateInput?.value ? new Date(dateInput.value) : null;
-					await handleBulkExport(formatSelect.value, exportOptions, modal, projectId, toggleInput.checked, afterDate);
+					await handleBulkExport(formatSelect.value, exportOptions, modal, projectId, toggleInput.checked, afterDate, incrementalToggleInput.checked);
 				}
 			};
 
 			// Copy to clipboard handler (single conversation only)
 			if (copyButton) copyButton.onclick = async () => {
-				if (!isCopyable(formatSelect.value)) return;
+				if (!isCopyable(formatSelect.value) || encryptToggleInput.checked) return;
 
 				const exportOptions = {
 					includeThinking: thinkingToggleInput?.checked ?? true,
 					includeAttachments: attachmentsToggleInput?.checked ?? false,
-					includeImages: imagesToggleInput?.checked ?? false
+					includeImages: imagesToggleInput?.checked ?? false,
+					chapterMode: chapterModeSelect.value,
+					chapterSize: chapterSizeInput.value,
+					htmlTheme: themeSelect.value,
+					redaction: redactToggleInput.checked ? await getRedactionSettings() : null,
+					range: rangeToggleInput.checked ? { from: rangeFromSelect.value, to: rangeToSelect.value } : null
 				};
 
 				const loadingModal = createLoadingModal('Copying...');
@@ -2161,7 +5592,7 @@
 					const exportTree = toggleInput.checked;
 					const orgId = getOrgId();
 
-					const { content } = await exportSingleConversation(
+					const { content, redactions } = await exportSingleConversation(
 						orgId, conversationId, format, extension, exportTree, exportOptions, loadingModal
 					);
 
@@ -2169,6 +5600,15 @@
 						throw new Error('This format cannot be copied to the clipboard.');
 					}
 
+					if (redactions) {
+						loadingModal.hide();
+						if (!await showRedactionPreview(redactions)) {
+							loadingModal.destroy();
+							return;
+						}
+						loadingModal.show();
+					}
+
 					await navigator.clipboard.writeText(content);
 
 					loadingModal.destroy();
@@ -2208,6 +5648,11 @@
 		importButton.style.minWidth = '80px';
 		importContainer.appendChild(importButton);
 
+		const mergeButton = createClaudeButton('Merge…', 'secondary');
+		mergeButton.style.minWidth = '80px';
+		mergeButton.title = 'Combine several exported conversations into one';
+		importContainer.appendChild(mergeButton);
+
 		content.appendChild(importContainer);
 
 		// Add toggles
@@ -2222,7 +5667,7 @@
 		// Import note
 		const note = document.createElement('p');
 		note.className = CLAUDE_CLASSES.TEXT_SM + ' text-text-400';
-		note.textContent = 'Imports zip (from this modal) and LibreChat JSON.';
+		note.textContent = 'Imports zip (from this modal), LibreChat JSON, ChatGPT conversations.json, SillyTavern JSONL and API message arrays.';
 		content.appendChild(note);
 
 		// Import button handler
@@ -2232,6 +5677,121 @@
 				importFilesToggle.input.checked,
 				importToolCallsToggle.input.checked
 			);
+		mergeButton.onclick = () =>
+			handleMergeImport(
+				modelSelect.value,
+				importFilesToggle.input.checked,
+				importToolCallsToggle.input.checked
+			);
+		//#endregion
+
+		//#region Archive section (always shown)
+		{
+			const archiveDivider = document.createElement('hr');
+			archiveDivider.className = 'my-4 border-border-300';
+			content.appendChild(archiveDivider);
+
+			const archiveLabel = document.createElement('label');
+			archiveLabel.className = CLAUDE_CLASSES.LABEL;
+			archiveLabel.textContent = 'Offline Archive';
+			content.appendChild(archiveLabel);
+
+			const archiveNote = document.createElement('p');
+			archiveNote.className = CLAUDE_CLASSES.TEXT_SM + ' text-text-400 mb-2';
+			archiveNote.textContent = 'Keeps a local copy of every conversation, even after it is deleted from your account.';
+			content.appendChild(archiveNote);
+
+			const archiveButtons = document.createElement('div');
+			archiveButtons.className = 'flex gap-2';
+			const updateArchiveButton = createClaudeButton('Update Archive', 'secondary');
+			updateArchiveButton.onclick = () => {
+				modal.hide();
+				handleUpdateArchive();
+			};
+			archiveButtons.appendChild(updateArchiveButton);
+
+			const browseArchiveButton = createClaudeButton('Browse Archive', 'secondary');
+			browseArchiveButton.onclick = async () => {
+				try {
+					await showArchiveModal();
+				} catch (error) {
+					console.error('[Exporter] Failed to open archive:', error);
+					showClaudeAlert('Archive Error', error.message || 'Failed to open the archive');
+				}
+			};
+			archiveButtons.appendChild(browseArchiveButton);
+			content.appendChild(archiveButtons);
+		}
+		//#endregion
+
+		//#region Backup section (always shown)
+		{
+			const backupDivider = document.createElement('hr');
+			backupDivider.className = 'my-4 border-border-300';
+			content.appendChild(backupDivider);
+
+			const backupLabel = document.createElement('label');
+			backupLabel.className = CLAUDE_CLASSES.LABEL;
+			backupLabel.textContent = 'Scheduled Backups';
+			content.appendChild(backupLabel);
+
+			const [interval, backupFormat, retention, lastRun] = await Promise.all([
+				settingsRegistry.get(SETTINGS_KEYS.BACKUP.INTERVAL),
+				settingsRegistry.get(SETTINGS_KEYS.BACKUP.FORMAT),
+				settingsRegistry.get(SETTINGS_KEYS.BACKUP.RETENTION),
+				settingsRegistry.get(SETTINGS_KEYS.BACKUP.LAST_RUN)
+			]);
+
+			const backupNote = document.createElement('p');
+			backupNote.className = CLAUDE_CLASSES.TEXT_SM + ' text-text-400 mb-2';
+			backupNote.textContent = 'Runs a full export in the background while a claude.ai tab is open. ' +
+				(lastRun ? `Last backup: ${new Date(lastRun).toLocaleString()}.` : 'No backup yet.');
+			content.appendChild(backupNote);
+
+			const backupSettings = document.createElement('div');
+			backupSettings.className = 'flex gap-2 mb-2';
+
+			const intervalSelect = createClaudeSelect([
+				{ value: 'off', label: 'Off' },
+				{ value: 'daily', label: 'Daily' },
+				{ value: 'weekly', label: 'Weekly' }
+			], interval, () => settingsRegistry.set(SETTINGS_KEYS.BACKUP.INTERVAL, intervalSelect.value));
+			intervalSelect.title = 'Backup interval';
+			backupSettings.appendChild(intervalSelect);
+
+			const backupFormatSelect = createClaudeSelect(BACKUP_FORMATS, backupFormat,
+				() => settingsRegistry.set(SETTINGS_KEYS.BACKUP.FORMAT, backupFormatSelect.value));
+			backupFormatSelect.title = 'Backup format';
+			backupSettings.appendChild(backupFormatSelect);
+
+			const retentionInput = createClaudeInput({
+				type: 'number',
+				value: String(retention),
+				onChange: () => {
+					const value = parseInt(retentionInput.value, 10);
+					if (value >= 1) settingsRegistry.set(SETTINGS_KEYS.BACKUP.RETENTION, value);
+				}
+			});
+			retentionInput.min = '1';
+			retentionInput.title = 'Number of backups to keep';
+			retentionInput.classList.add('!w-20');
+			backupSettings.appendChild(retentionInput);
+			content.appendChild(backupSettings);
+
+			const backupButtons = document.createElement('div');
+			backupButtons.className = 'flex gap-2';
+			const backupNowButton = createClaudeButton('Back Up Now', 'secondary');
+			backupNowButton.onclick = () => {
+				modal.hide();
+				handleBackupNow();
+			};
+			backupButtons.appendChild(backupNowButton);
+
+			const downloadBackupButton = createClaudeButton('Download Latest Backup', 'secondary');
+			downloadBackupButton.onclick = handleDownloadLatestBackup;
+			backupButtons.appendChild(downloadBackupButton);
+			content.appendChild(backupButtons);
+		}
 		//#endregion
 
 		//#region Replace phantom section (only if in conversation)
@@ -2297,6 +5857,7 @@
 			tooltip: 'Export/Import chat',
 			pages: ['chat', 'home', 'project'],
 		});
+		startBackupScheduler();
 	}
 
 	// Wait for dependencies to be available
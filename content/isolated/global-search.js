@@ -2,7 +2,7 @@
 (function () {
 	'use strict';
 
-	const { searchDB, compileQuery, findMatches } = window.ClaudeSearchShared;
+	const { searchDB, conversationArchive, compileQuery, findMatches } = window.ClaudeSearchShared;
 
 	// ======== STATE ========
 	let isFirstSyncOnRecents = true;
@@ -211,6 +211,8 @@
 	let gdprBatchQueue = [];
 	let gdprProcessing = false;
 	let gdprAllBatchesReceived = false;
+	// Set while an archive run is in flight: { resolve, reject, archived }
+	let gdprArchiveRun = null;
 
 	chrome.runtime.onMessage.addListener((message) => {
 		// NOTE: this listener must NOT be async. An async listener returns a Promise, which makes
@@ -240,6 +242,12 @@
 				gdprLoadingModal.destroy();
 				gdprLoadingModal = null;
 			}
+			if (gdprArchiveRun) {
+				// The archive caller reports its own failures
+				gdprArchiveRun.reject(new Error(message.error));
+				gdprArchiveRun = null;
+				return;
+			}
 			showClaudeAlert('Import Failed', `The data export import failed: ${message.error}`);
 		}
 	});
@@ -253,6 +261,10 @@
 		gdprProcessedConversations = 0;
 		gdprTotalConversations = 0;
 		gdprAllBatchesReceived = false;
+		if (gdprArchiveRun) {
+			gdprArchiveRun.resolve(gdprArchiveRun.archived);
+			gdprArchiveRun = null;
+		}
 	}
 
 	async function processBatchQueue() {
@@ -263,6 +275,11 @@
 
 			for (const conv of message.batch) {
 				try {
+					if (gdprArchiveRun) {
+						await conversationArchive.put(conv);
+						gdprArchiveRun.archived++;
+					}
+
 					const metadata = await searchDB.getMetadata(conv.uuid);
 					if (metadata) {
 						await searchDB.setMessages(conv.uuid, conv.chat_messages);
@@ -460,6 +477,43 @@
 		console.log('[QOL-GDPRExport] Processing', downloadResult.totalCount, 'conversations...');
 	}
 
+	// Archive mode: the same export, but every conversation is kept whole in the offline archive
+	// instead of only feeding the search index. Resolves with the number archived once the
+	// background has streamed the last batch.
+	async function archiveViaExport() {
+		if (gdprArchiveRun) throw new Error('An archive run is already in progress');
+
+		const loadingModal = createLoadingModal('Preparing archive...');
+		loadingModal.show();
+		const done = new Promise((resolve, reject) => {
+			gdprArchiveRun = { resolve, reject, archived: 0 };
+		});
+
+		try {
+			while (true) {
+				try {
+					await syncConversationsViaExport(loadingModal);
+					break;
+				} catch (error) {
+					if (error.message === 'GDPR_RETRY') {
+						loadingModal.setContent(createLoadingContent('Retrying export...'));
+						continue;
+					}
+					throw error;
+				}
+			}
+		} catch (error) {
+			gdprArchiveRun = null;
+			throw error;
+		} finally {
+			loadingModal.destroy();
+		}
+
+		return await done;
+	}
+
+	window.ClaudeSearchShared.archiveViaExport = archiveViaExport;
+
 	function transformGDPRToMetadata(gdprConv) {
 		return {
 			uuid: gdprConv.uuid,
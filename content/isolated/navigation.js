@@ -238,6 +238,691 @@
 
 	// #endregion
 
+	//#region BRANCH DIFF
+	// Side-by-side comparison of two paths through the tree, starting where they fork.
+	function getMessageText(msg) {
+		return (msg.content || [])
+			.filter(block => block.type === 'text' && block.text)
+			.map(block => block.text)
+			.join('\n\n');
+	}
+
+	// Root-first list of messages ending at `uuid`
+	function getPathTo(uuid, messageMap) {
+		const path = [];
+		let currentId = uuid;
+		while (currentId && currentId !== ROOT_MESSAGE_UUID) {
+			const msg = messageMap.get(currentId);
+			if (!msg) break;
+			path.push(msg);
+			currentId = msg.parent_message_uuid;
+		}
+		return path.reverse();
+	}
+
+	// Every leaf plus every bookmark, as options for the two pickers
+	function buildDiffEndpoints(messages, bookmarks, currentLeafUuid) {
+		const parentIds = new Set(messages.map(msg => msg.parent_message_uuid));
+		const endpoints = [];
+
+		for (const [name, uuid] of Object.entries(bookmarks)) {
+			endpoints.push({ value: uuid, label: `📍 ${name}` });
+		}
+
+		const leaves = messages
+			.filter(msg => !parentIds.has(msg.uuid))
+			.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+		for (const leaf of leaves) {
+			const preview = getMessageText(leaf).replace(/\s+/g, ' ').slice(0, 50) || '(no text)';
+			const date = leaf.created_at ? new Date(leaf.created_at).toLocaleString() : '';
+			const current = leaf.uuid === currentLeafUuid ? ' (current)' : '';
+			endpoints.push({ value: leaf.uuid, label: `🍃 ${preview} · ${date}${current}` });
+		}
+
+		return endpoints;
+	}
+
+	// Word-level diff via LCS over whitespace-preserving tokens. Returns [{ type, text }] with
+	// type 'same' | 'removed' | 'added'. The shared head and tail are trimmed off first, which for
+	// regenerated replies usually leaves a small middle; if even that is too big for the table,
+	// the middle is reported as one replaced block.
+	const MAX_DIFF_CELLS = 4000000;
+	function diffWords(oldText, newText) {
+		const a = oldText.split(/(\s+)/).filter(Boolean);
+		const b = newText.split(/(\s+)/).filter(Boolean);
+
+		let start = 0;
+		while (start < a.length && start < b.length && a[start] === b[start]) start++;
+		let endA = a.length;
+		let endB = b.length;
+		while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+			endA--;
+			endB--;
+		}
+
+		const head = a.slice(0, start);
+		const tail = a.slice(endA);
+		const midA = a.slice(start, endA);
+		const midB = b.slice(start, endB);
+		const ops = [];
+		const push = (type, token) => {
+			const last = ops[ops.length - 1];
+			if (last && last.type === type) last.text += token;
+			else ops.push({ type, text: token });
+		};
+
+		head.forEach(token => push('same', token));
+
+		if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+			midA.forEach(token => push('removed', token));
+			midB.forEach(token => push('added', token));
+		} else {
+			const rows = midA.length + 1;
+			const cols = midB.length + 1;
+			const lcs = new Uint32Array(rows * cols);
+			for (let i = midA.length - 1; i >= 0; i--) {
+				for (let j = midB.length - 1; j >= 0; j--) {
+					lcs[i * cols + j] = midA[i] === midB[j]
+						? lcs[(i + 1) * cols + j + 1] + 1
+						: Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+				}
+			}
+
+			let i = 0;
+			let j = 0;
+			while (i < midA.length && j < midB.length) {
+				if (midA[i] === midB[j]) {
+					push('same', midA[i]);
+					i++;
+					j++;
+				} else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+					push('removed', midA[i++]);
+				} else {
+					push('added', midB[j++]);
+				}
+			}
+			while (i < midA.length) push('removed', midA[i++]);
+			while (j < midB.length) push('added', midB[j++]);
+		}
+
+		tail.forEach(token => push('same', token));
+		return ops;
+	}
+
+	// One side of a diff row. `ops` is null when there is nothing to compare against.
+	function renderDiffCell(msg, ops, side) {
+		const cell = document.createElement('div');
+		cell.className = 'branch-diff-cell p-2 rounded border border-border-300 bg-bg-200';
+
+		if (!msg) {
+			cell.classList.add('opacity-40');
+			cell.textContent = '—';
+			return cell;
+		}
+
+		const header = document.createElement('div');
+		header.className = CLAUDE_CLASSES.TEXT_MUTED + ' mb-1';
+		header.textContent = `${msg.sender === 'human' ? 'User' : 'Assistant'}` +
+			(msg.created_at ? ` · ${new Date(msg.created_at).toLocaleString()}` : '');
+		cell.appendChild(header);
+
+		const body = document.createElement('div');
+		body.className = 'text-sm text-text-100 whitespace-pre-wrap break-words';
+		if (ops) {
+			const hidden = side === 'left' ? 'added' : 'removed';
+			for (const op of ops) {
+				if (op.type === hidden) continue;
+				const span = document.createElement('span');
+				if (op.type !== 'same') span.className = `branch-diff-${op.type}`;
+				span.textContent = op.text;
+				body.appendChild(span);
+			}
+		} else {
+			body.textContent = getMessageText(msg) || '(no text)';
+		}
+		cell.appendChild(body);
+
+		return cell;
+	}
+
+	function renderBranchDiff(container, pathA, pathB) {
+		container.innerHTML = '';
+
+		let shared = 0;
+		while (shared < pathA.length && shared < pathB.length && pathA[shared].uuid === pathB[shared].uuid) shared++;
+		const restA = pathA.slice(shared);
+		const restB = pathB.slice(shared);
+
+		const summary = document.createElement('div');
+		summary.className = CLAUDE_CLASSES.TEXT_MUTED + ' mb-3';
+		if (!restA.length && !restB.length) {
+			summary.textContent = 'Both selections point to the same message.';
+			container.appendChild(summary);
+			return;
+		}
+		summary.textContent = shared
+			? `${shared} shared message(s) before the fork. ${restA.length} vs ${restB.length} message(s) after it.`
+			: `No shared history. ${restA.length} vs ${restB.length} message(s).`;
+		container.appendChild(summary);
+
+		const rowCount = Math.max(restA.length, restB.length);
+		for (let i = 0; i < rowCount; i++) {
+			const left = restA[i];
+			const right = restB[i];
+			let ops = null;
+			if (left && right && left.sender === right.sender) {
+				const leftText = getMessageText(left);
+				const rightText = getMessageText(right);
+				ops = leftText === rightText ? [{ type: 'same', text: leftText }] : diffWords(leftText, rightText);
+			}
+
+			const row = document.createElement('div');
+			row.className = 'grid grid-cols-2 gap-2 mb-2';
+			row.appendChild(renderDiffCell(left, ops, 'left'));
+			row.appendChild(renderDiffCell(right, ops, 'right'));
+			container.appendChild(row);
+		}
+	}
+
+	async function showBranchDiffModal(conversation, conversationId) {
+		const messages = await conversation.getMessages(true);
+		const messageMap = new Map(messages.map(msg => [msg.uuid, msg]));
+		const bookmarks = await getBookmarks(conversationId);
+		const currentLeafUuid = conversation.conversationData?.current_leaf_message_uuid;
+		const endpoints = buildDiffEndpoints(messages, bookmarks, currentLeafUuid);
+
+		if (endpoints.length < 2) {
+			showClaudeAlert('Compare Branches', 'This conversation has only one branch.');
+			return;
+		}
+
+		const content = document.createElement('div');
+
+		const pickers = document.createElement('div');
+		pickers.className = 'grid grid-cols-2 gap-2 mb-3';
+		const defaultA = endpoints.find(e => e.value === currentLeafUuid)?.value || endpoints[0].value;
+		const defaultB = endpoints.find(e => e.value !== defaultA).value;
+		const update = () => renderBranchDiff(diffContainer, getPathTo(selectA.value, messageMap), getPathTo(selectB.value, messageMap));
+		const selectA = createClaudeSearchableSelect(endpoints, defaultA, update);
+		const selectB = createClaudeSearchableSelect(endpoints, defaultB, update);
+		pickers.appendChild(selectA);
+		pickers.appendChild(selectB);
+		content.appendChild(pickers);
+
+		const diffContainer = document.createElement('div');
+		diffContainer.className = 'max-h-[60vh] overflow-y-auto';
+		content.appendChild(diffContainer);
+		update();
+
+		const modal = new ClaudeModal('Compare Branches', content);
+		modal.addCancel('Close');
+		modal.modal.classList.remove('max-w-md');
+		modal.modal.classList.add('max-w-5xl');
+		modal.show();
+	}
+
+	// #endregion
+
+	//#region TREE MAP
+	// Every message as a node, laid out top-down with siblings side by side. The world is plain
+	// positioned divs over one SVG for the edges, moved as a whole by a CSS transform; the
+	// minimap is a canvas drawn once and overlaid with the current viewport.
+	const MAP_NODE_WIDTH = 200;
+	const MAP_NODE_HEIGHT = 56;
+	const MAP_GAP_X = 24;
+	const MAP_GAP_Y = 36;
+	const MAP_MIN_SCALE = 0.05;
+	const MAP_MAX_SCALE = 2;
+
+	// Leaves take consecutive columns in depth-first order, parents sit centred over their
+	// children. Iterative, since a linear chat of a few hundred turns is that many levels deep.
+	function layoutMessageTree(messages) {
+		const childrenOf = new Map();
+		for (const msg of messages) {
+			const parentId = msg.parent_message_uuid || ROOT_MESSAGE_UUID;
+			if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+			childrenOf.get(parentId).push(msg);
+		}
+		for (const children of childrenOf.values()) {
+			children.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+		}
+
+		// Orphans (parent missing from the tree) are treated as extra roots
+		const known = new Set(messages.map(msg => msg.uuid));
+		const roots = messages.filter(msg => {
+			const parentId = msg.parent_message_uuid || ROOT_MESSAGE_UUID;
+			return parentId === ROOT_MESSAGE_UUID || !known.has(parentId);
+		}).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+		const nodes = new Map();
+		let nextColumn = 0;
+		const stack = roots.slice().reverse().map(msg => ({ msg, depth: 0, visited: false }));
+		while (stack.length) {
+			const entry = stack[stack.length - 1];
+			const children = childrenOf.get(entry.msg.uuid) || [];
+			if (!entry.visited && children.length) {
+				entry.visited = true;
+				for (let i = children.length - 1; i >= 0; i--) {
+					stack.push({ msg: children[i], depth: entry.depth + 1, visited: false });
+				}
+				continue;
+			}
+			stack.pop();
+
+			const column = children.length
+				? (nodes.get(children[0].uuid).column + nodes.get(children[children.length - 1].uuid).column) / 2
+				: nextColumn++;
+			nodes.set(entry.msg.uuid, {
+				msg: entry.msg,
+				column,
+				depth: entry.depth,
+				x: column * (MAP_NODE_WIDTH + MAP_GAP_X),
+				y: entry.depth * (MAP_NODE_HEIGHT + MAP_GAP_Y)
+			});
+		}
+
+		let maxDepth = 0;
+		for (const node of nodes.values()) maxDepth = Math.max(maxDepth, node.depth);
+		return {
+			nodes,
+			width: Math.max(1, nextColumn) * (MAP_NODE_WIDTH + MAP_GAP_X) - MAP_GAP_X,
+			height: (maxDepth + 1) * (MAP_NODE_HEIGHT + MAP_GAP_Y) - MAP_GAP_Y
+		};
+	}
+
+	function createMapNode(node, state) {
+		const el = document.createElement('div');
+		el.className = 'tree-map-node absolute rounded border px-2 py-1 cursor-pointer overflow-hidden bg-bg-200 border-border-300 hover:bg-bg-300';
+		if (state === 'trunk') el.classList.add('tree-map-trunk');
+		if (state === 'current') el.classList.add('tree-map-current');
+		el.style.left = `${node.x}px`;
+		el.style.top = `${node.y}px`;
+		el.style.width = `${MAP_NODE_WIDTH}px`;
+		el.style.height = `${MAP_NODE_HEIGHT}px`;
+
+		const header = document.createElement('div');
+		header.className = 'text-xs text-text-400 whitespace-nowrap overflow-hidden text-ellipsis';
+		const sender = node.msg.sender === 'human' ? '👤 User' : '🤖 Assistant';
+		const time = node.msg.created_at ? new Date(node.msg.created_at).toLocaleString() : '';
+		header.textContent = `${sender} · ${time}`;
+		el.appendChild(header);
+
+		const preview = document.createElement('div');
+		preview.className = 'text-sm text-text-100 whitespace-nowrap overflow-hidden text-ellipsis';
+		preview.textContent = getMessageText(node.msg).replace(/\s+/g, ' ').slice(0, 120) || '(no text)';
+		el.appendChild(preview);
+
+		el.title = preview.textContent;
+		return el;
+	}
+
+	async function showTreeMapModal(conversation) {
+		const messages = await conversation.getMessages(true);
+		if (!messages.length) {
+			showClaudeAlert('Tree Map', 'This conversation has no messages yet.');
+			return;
+		}
+
+		const layout = layoutMessageTree(messages);
+		const messageMap = new Map(messages.map(msg => [msg.uuid, msg]));
+		const currentLeafUuid = conversation.conversationData?.current_leaf_message_uuid;
+		const trunk = new Set(getPathTo(currentLeafUuid, messageMap).map(msg => msg.uuid));
+
+		const content = document.createElement('div');
+		const viewport = document.createElement('div');
+		viewport.className = 'tree-map-viewport relative overflow-hidden rounded border border-border-300 bg-bg-100';
+		viewport.style.height = '65vh';
+		content.appendChild(viewport);
+
+		const world = document.createElement('div');
+		world.className = 'absolute left-0 top-0';
+		world.style.transformOrigin = '0 0';
+		world.style.width = `${layout.width}px`;
+		world.style.height = `${layout.height}px`;
+		viewport.appendChild(world);
+
+		// Edges
+		const svgNS = 'http://www.w3.org/2000/svg';
+		const svg = document.createElementNS(svgNS, 'svg');
+		svg.setAttribute('width', layout.width);
+		svg.setAttribute('height', layout.height);
+		svg.style.position = 'absolute';
+		svg.style.overflow = 'visible';
+		for (const node of layout.nodes.values()) {
+			const parent = layout.nodes.get(node.msg.parent_message_uuid);
+			if (!parent) continue;
+			const x1 = parent.x + MAP_NODE_WIDTH / 2;
+			const y1 = parent.y + MAP_NODE_HEIGHT;
+			const x2 = node.x + MAP_NODE_WIDTH / 2;
+			const y2 = node.y;
+			const midY = (y1 + y2) / 2;
+			const path = document.createElementNS(svgNS, 'path');
+			path.setAttribute('d', `M${x1},${y1} C${x1},${midY} ${x2},${midY} ${x2},${y2}`);
+			path.setAttribute('class', trunk.has(node.msg.uuid) ? 'tree-map-edge tree-map-edge-trunk' : 'tree-map-edge');
+			svg.appendChild(path);
+		}
+		world.appendChild(svg);
+
+		// Nodes
+		let modal;
+		let suppressClick = false;
+		for (const node of layout.nodes.values()) {
+			const state = node.msg.uuid === currentLeafUuid ? 'current' : trunk.has(node.msg.uuid) ? 'trunk' : null;
+			const el = createMapNode(node, state);
+			el.onclick = async () => {
+				if (suppressClick) return;
+				modal.hide();
+				if (trunk.has(node.msg.uuid)) {
+					await revealMessageByUuid(node.msg.uuid, { conversation });
+					return;
+				}
+				const loadingModal = createLoadingModal('Switching branch...');
+				loadingModal.show();
+				try {
+					// setCurrentLeaf reloads; chat-search picks the target up from sessionStorage
+					const longestLeaf = conversation.findLongestLeaf(node.msg.uuid);
+					sessionStorage.setItem('message_uuid_to_find', node.msg.uuid);
+					await conversation.setCurrentLeaf(longestLeaf.leafId);
+				} catch (error) {
+					console.error('[QOL-Navigation] Failed to switch branch:', error);
+					sessionStorage.removeItem('message_uuid_to_find');
+					loadingModal.destroy();
+					showClaudeAlert('Navigation Error', 'Failed to switch to that branch.');
+				}
+			};
+			world.appendChild(el);
+		}
+
+		// Minimap
+		const MINIMAP_WIDTH = 180;
+		const MINIMAP_HEIGHT = 140;
+		const miniScale = Math.min(MINIMAP_WIDTH / layout.width, MINIMAP_HEIGHT / layout.height);
+		const minimap = document.createElement('div');
+		minimap.className = 'tree-map-minimap absolute right-2 bottom-2 rounded border border-border-300 bg-bg-200 cursor-pointer';
+		minimap.style.width = `${MINIMAP_WIDTH}px`;
+		minimap.style.height = `${MINIMAP_HEIGHT}px`;
+		const canvas = document.createElement('canvas');
+		canvas.width = MINIMAP_WIDTH;
+		canvas.height = MINIMAP_HEIGHT;
+		minimap.appendChild(canvas);
+		const miniViewport = document.createElement('div');
+		miniViewport.className = 'tree-map-minimap-view absolute pointer-events-none';
+		minimap.appendChild(miniViewport);
+		viewport.appendChild(minimap);
+
+		const ctx = canvas.getContext('2d');
+		const styles = getComputedStyle(document.documentElement);
+		const cssColor = (name, fallback) => {
+			const value = styles.getPropertyValue(name).trim();
+			return value ? `hsl(${value})` : fallback;
+		};
+		for (const node of layout.nodes.values()) {
+			ctx.fillStyle = node.msg.uuid === currentLeafUuid || trunk.has(node.msg.uuid)
+				? cssColor('--accent-main-100', '#d97757')
+				: cssColor('--text-400', '#888888');
+			ctx.fillRect(node.x * miniScale, node.y * miniScale,
+				Math.max(1, MAP_NODE_WIDTH * miniScale), Math.max(1, MAP_NODE_HEIGHT * miniScale));
+		}
+
+		// Pan & zoom
+		const view = { x: 0, y: 0, scale: 1 };
+		const applyView = () => {
+			world.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+			const rect = viewport.getBoundingClientRect();
+			miniViewport.style.left = `${-view.x / view.scale * miniScale}px`;
+			miniViewport.style.top = `${-view.y / view.scale * miniScale}px`;
+			miniViewport.style.width = `${rect.width / view.scale * miniScale}px`;
+			miniViewport.style.height = `${rect.height / view.scale * miniScale}px`;
+		};
+		const centerOn = (worldX, worldY) => {
+			const rect = viewport.getBoundingClientRect();
+			view.x = rect.width / 2 - worldX * view.scale;
+			view.y = rect.height / 2 - worldY * view.scale;
+			applyView();
+		};
+
+		viewport.addEventListener('wheel', (e) => {
+			e.preventDefault();
+			const rect = viewport.getBoundingClientRect();
+			const pointerX = e.clientX - rect.left;
+			const pointerY = e.clientY - rect.top;
+			const nextScale = Math.min(MAP_MAX_SCALE, Math.max(MAP_MIN_SCALE, view.scale * Math.exp(-e.deltaY * 0.0015)));
+			// Keep the point under the cursor where it is
+			view.x = pointerX - (pointerX - view.x) * (nextScale / view.scale);
+			view.y = pointerY - (pointerY - view.y) * (nextScale / view.scale);
+			view.scale = nextScale;
+			applyView();
+		}, { passive: false });
+
+		let drag = null;
+		viewport.addEventListener('pointerdown', (e) => {
+			if (minimap.contains(e.target)) return;
+			drag = { startX: e.clientX, startY: e.clientY, viewX: view.x, viewY: view.y, moved: false };
+			suppressClick = false;
+		});
+		viewport.addEventListener('pointermove', (e) => {
+			if (!drag) return;
+			const dx = e.clientX - drag.startX;
+			const dy = e.clientY - drag.startY;
+			// A few pixels of jitter still counts as a click on a node
+			if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+			if (!drag.moved) {
+				drag.moved = true;
+				viewport.setPointerCapture(e.pointerId);
+			}
+			view.x = drag.viewX + dx;
+			view.y = drag.viewY + dy;
+			applyView();
+		});
+		const endDrag = () => {
+			if (drag?.moved) suppressClick = true;
+			drag = null;
+		};
+		viewport.addEventListener('pointerup', endDrag);
+		viewport.addEventListener('pointercancel', endDrag);
+
+		const jumpFromMinimap = (e) => {
+			const rect = canvas.getBoundingClientRect();
+			centerOn((e.clientX - rect.left) / miniScale, (e.clientY - rect.top) / miniScale);
+		};
+		minimap.addEventListener('pointerdown', (e) => {
+			jumpFromMinimap(e);
+			const move = (ev) => jumpFromMinimap(ev);
+			const up = () => {
+				window.removeEventListener('pointermove', move);
+				window.removeEventListener('pointerup', up);
+			};
+			window.addEventListener('pointermove', move);
+			window.addEventListener('pointerup', up);
+		});
+
+		// Controls
+		const controls = document.createElement('div');
+		controls.className = CLAUDE_CLASSES.FLEX_GAP_2 + ' mt-2';
+		const zoomBy = (factor) => {
+			const rect = viewport.getBoundingClientRect();
+			const centerX = (rect.width / 2 - view.x) / view.scale;
+			const centerY = (rect.height / 2 - view.y) / view.scale;
+			view.scale = Math.min(MAP_MAX_SCALE, Math.max(MAP_MIN_SCALE, view.scale * factor));
+			centerOn(centerX, centerY);
+		};
+		const focusCurrent = () => {
+			const current = layout.nodes.get(currentLeafUuid);
+			view.scale = 1;
+			if (current) centerOn(current.x + MAP_NODE_WIDTH / 2, current.y + MAP_NODE_HEIGHT / 2);
+			else centerOn(layout.width / 2, 0);
+		};
+		const fitAll = () => {
+			const rect = viewport.getBoundingClientRect();
+			view.scale = Math.min(MAP_MAX_SCALE, Math.max(MAP_MIN_SCALE,
+				Math.min(rect.width / (layout.width + 40), rect.height / (layout.height + 40))));
+			centerOn(layout.width / 2, layout.height / 2);
+		};
+		controls.appendChild(createClaudeButton('−', 'secondary', () => zoomBy(1 / 1.25)));
+		controls.appendChild(createClaudeButton('+', 'secondary', () => zoomBy(1.25)));
+		controls.appendChild(createClaudeButton('Fit', 'secondary', fitAll));
+		controls.appendChild(createClaudeButton('Current', 'secondary', focusCurrent));
+		const stats = document.createElement('span');
+		stats.className = CLAUDE_CLASSES.TEXT_MUTED + ' ml-auto';
+		const parentIds = new Set(messages.map(msg => msg.parent_message_uuid));
+		const leafCount = messages.filter(msg => !parentIds.has(msg.uuid)).length;
+		stats.textContent = `${messages.length} messages · ${leafCount} branches`;
+		controls.appendChild(stats);
+		content.appendChild(controls);
+
+		modal = new ClaudeModal('Tree Map', content);
+		modal.addCancel('Close');
+		modal.modal.classList.remove('max-w-md');
+		modal.modal.classList.add('max-w-6xl');
+		modal.show();
+
+		// The viewport only has a size once it is in the document
+		requestAnimationFrame(focusCurrent);
+	}
+
+	// #endregion
+
+	//#region FORK LINEAGE
+	// Records are written by forking.js when a fork is created, keyed by the fork's uuid. Stored
+	// names are what the chats were called at fork time; the links go by uuid, so renames don't matter.
+	async function getForkLineage() {
+		return await settingsRegistry.get(SETTINGS_KEYS.FORKING.LINEAGE);
+	}
+
+	// Oldest first. Guards against cycles in case records were edited by hand.
+	function getLineageAncestors(lineage, conversationId) {
+		const ancestors = [];
+		const seen = new Set([conversationId]);
+		let record = lineage[conversationId];
+		while (record && !seen.has(record.parent)) {
+			seen.add(record.parent);
+			ancestors.unshift({ uuid: record.parent, name: record.parentName, record: lineage[record.parent] || null });
+			record = lineage[record.parent];
+		}
+		return ancestors;
+	}
+
+	function getLineageChildren(lineage, conversationId) {
+		return Object.entries(lineage)
+			.filter(([, record]) => record.parent === conversationId)
+			.map(([uuid, record]) => ({ uuid, name: record.name, record }))
+			.sort((a, b) => new Date(a.record.created_at) - new Date(b.record.created_at));
+	}
+
+	// Opens the source chat on the branch containing the fork point, then lets chat-search
+	// scroll to it after the load. The leaf is switched without a reload so the only navigation
+	// is the one to the source chat.
+	async function goToForkPoint(record) {
+		const loadingModal = createLoadingModal('Opening source conversation...');
+		loadingModal.show();
+		try {
+			const source = new ClaudeConversation(getOrgId(), record.parent);
+			const data = await source.getData(true);
+			// Forking from a phantom message leaves nothing on the server to switch to
+			if (data.chat_messages?.some(msg => msg.uuid === record.forkPoint)) {
+				const longestLeaf = source.findLongestLeaf(record.forkPoint);
+				await source.setCurrentLeaf(longestLeaf.leafId, false);
+				sessionStorage.setItem('message_uuid_to_find', record.forkPoint);
+			}
+			window.location.href = `/chat/${record.parent}`;
+		} catch (error) {
+			console.error('[QOL-Navigation] Failed to open fork point:', error);
+			loadingModal.destroy();
+			showClaudeAlert('Fork Lineage', 'Could not open the source conversation. It may have been deleted.');
+		}
+	}
+
+	function describeLineageRecord(record) {
+		const kind = record.summarized
+			? `summarized, ${record.keptPercent}% kept verbatim`
+			: 'full copy';
+		return `Forked ${window.ClaudeSearchShared.getRelativeTime(record.created_at)} · ${kind}`;
+	}
+
+	function createLineageRow(entry, depth, isCurrent) {
+		const row = document.createElement('div');
+		row.className = 'flex items-center gap-2 py-1';
+		row.style.paddingLeft = `${depth * 20}px`;
+
+		const icon = document.createElement('span');
+		icon.textContent = entry.record ? '⑂' : '🌳';
+		row.appendChild(icon);
+
+		const text = document.createElement('div');
+		text.className = 'flex-1 min-w-0';
+
+		const name = document.createElement(isCurrent ? 'span' : 'a');
+		name.className = isCurrent
+			? 'text-sm text-text-100 font-medium'
+			: 'text-sm text-text-100 hover:underline cursor-pointer';
+		name.textContent = (entry.name || 'Untitled') + (isCurrent ? ' (this chat)' : '');
+		if (!isCurrent) name.href = `/chat/${entry.uuid}`;
+		text.appendChild(name);
+
+		if (entry.record) {
+			const meta = document.createElement('div');
+			meta.className = CLAUDE_CLASSES.TEXT_SM;
+			meta.textContent = describeLineageRecord(entry.record);
+			text.appendChild(meta);
+		}
+		row.appendChild(text);
+
+		if (entry.record) {
+			const forkPointBtn = createClaudeButton('Fork point', 'secondary', () => goToForkPoint(entry.record));
+			forkPointBtn.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs', 'shrink-0');
+			createClaudeTooltip(forkPointBtn, 'Go to the message this was forked from');
+			row.appendChild(forkPointBtn);
+		}
+
+		return row;
+	}
+
+	function renderLineageDescendants(container, lineage, conversationId, depth, seen) {
+		for (const child of getLineageChildren(lineage, conversationId)) {
+			if (seen.has(child.uuid)) continue;
+			seen.add(child.uuid);
+			container.appendChild(createLineageRow(child, depth, false));
+			renderLineageDescendants(container, lineage, child.uuid, depth + 1, seen);
+		}
+	}
+
+	async function showLineageModal(conversation, conversationId) {
+		const lineage = await getForkLineage();
+		const conversationData = await conversation.getData();
+		const ancestors = getLineageAncestors(lineage, conversationId);
+		const record = lineage[conversationId] || null;
+
+		const content = document.createElement('div');
+
+		if (!record && getLineageChildren(lineage, conversationId).length === 0) {
+			const emptyMsg = document.createElement('div');
+			emptyMsg.className = 'text-center text-text-400 py-8';
+			emptyMsg.textContent = 'This chat has no recorded forks. Forks made from here or into here will show up in this view.';
+			content.appendChild(emptyMsg);
+		} else {
+			const list = document.createElement('div');
+			list.className = 'max-h-[60vh] overflow-y-auto';
+
+			ancestors.forEach((ancestor, i) => list.appendChild(createLineageRow(ancestor, i, false)));
+
+			list.appendChild(createLineageRow({ uuid: conversationId, name: conversationData.name, record }, ancestors.length, true));
+
+			renderLineageDescendants(list, lineage, conversationId, ancestors.length + 1, new Set([conversationId, ...ancestors.map(a => a.uuid)]));
+			content.appendChild(list);
+		}
+
+		const modal = new ClaudeModal('Fork Lineage', content);
+		modal.addCancel('Close');
+		if (record) {
+			modal.addConfirm('Go to Fork Point', () => goToForkPoint(record));
+		}
+		modal.modal.classList.remove('max-w-md');
+		modal.modal.classList.add('max-w-2xl');
+		modal.show();
+	}
+
+	// #endregion
+
 	//#region MAIN NAVIGATION MODAL
 	async function showNavigationModal() {
 		const loading = createLoadingModal('Loading conversation data...');
@@ -292,11 +977,42 @@
 			await conversation.setCurrentLeaf(longestLeaf.leafId);
 			window.location.reload();
 		});
+
+		const compareBtn = createClaudeButton('Compare Branches', 'secondary', async () => {
+			try {
+				await showBranchDiffModal(conversation, conversationId);
+			} catch (error) {
+				console.error('[QOL-Navigation] Branch comparison failed:', error);
+				showClaudeAlert('Compare Branches', 'Failed to load the conversation tree.');
+			}
+		});
+		const mapBtn = createClaudeButton('Tree Map', 'secondary', async () => {
+			try {
+				await showTreeMapModal(conversation);
+			} catch (error) {
+				console.error('[QOL-Navigation] Tree map failed:', error);
+				showClaudeAlert('Tree Map', 'Failed to load the conversation tree.');
+			}
+		});
+		const lineageBtn = createClaudeButton('Fork Lineage', 'secondary', async () => {
+			try {
+				await showLineageModal(conversation, conversationId);
+			} catch (error) {
+				console.error('[QOL-Navigation] Fork lineage failed:', error);
+				showClaudeAlert('Fork Lineage', 'Failed to load fork lineage.');
+			}
+		});
 		latestBtn.classList.add('w-full');
 		longestBtn.classList.add('w-full');
+		compareBtn.classList.add('w-full');
+		mapBtn.classList.add('w-full');
+		lineageBtn.classList.add('w-full');
 
 		topButtonsRow.appendChild(latestBtn);
 		topButtonsRow.appendChild(longestBtn);
+		topButtonsRow.appendChild(compareBtn);
+		topButtonsRow.appendChild(mapBtn);
+		topButtonsRow.appendChild(lineageBtn);
 		contentDiv.appendChild(topButtonsRow);
 
 		// Tree view container
@@ -615,6 +1331,46 @@
 			bottom: auto;
 			height: 1.25rem;
 		}
+
+		/* Branch diff */
+		.branch-diff-removed {
+			background: rgba(220, 38, 38, 0.25);
+			text-decoration: line-through;
+		}
+
+		.branch-diff-added {
+			background: rgba(22, 163, 74, 0.25);
+		}
+
+		/* Tree map */
+		.tree-map-viewport {
+			cursor: grab;
+			touch-action: none;
+		}
+
+		.tree-map-edge {
+			fill: none;
+			stroke: hsl(var(--border-300, 0 0% 50%));
+			stroke-width: 2;
+		}
+
+		.tree-map-edge-trunk {
+			stroke: hsl(var(--accent-main-100, 15 63% 60%));
+		}
+
+		.tree-map-node.tree-map-trunk {
+			border-color: hsl(var(--accent-main-100, 15 63% 60%));
+		}
+
+		.tree-map-node.tree-map-current {
+			border-color: hsl(var(--accent-main-100, 15 63% 60%));
+			box-shadow: 0 0 0 2px hsl(var(--accent-main-100, 15 63% 60%));
+		}
+
+		.tree-map-minimap-view {
+			border: 1px solid hsl(var(--text-100, 0 0% 90%));
+			background: hsl(var(--text-100, 0 0% 90%) / 0.1);
+		}
 	`;
 
 		document.head.appendChild(style);
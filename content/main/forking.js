@@ -18,6 +18,281 @@ If this is a writing or creative discussion, include sections for characters, pl
 	// Implicit MAX = 1.5x MAIN_TARGET due to rounding in chunking
 
 
+	//#region Summary prompt library
+	const BUILTIN_SUMMARY_PROMPTS = {
+		default: { id: 'default', name: 'General', text: defaultSummaryPrompt },
+		technical: {
+			id: 'technical',
+			name: 'Technical',
+			text: `I've attached a chatlog from a previous technical conversation. Please summarize it so the work can continue in a new chat.
+Cover the goal, the environment and constraints, the decisions made and why, and anything that was tried and rejected. Include the latest version of all relevant code, commands and configuration in full, in code blocks - drop superseded versions. Finish with open problems and the agreed next steps.`
+		},
+		creative: {
+			id: 'creative',
+			name: 'Creative writing',
+			text: `I've attached a chatlog from a previous creative writing conversation. Please summarize it so the story can continue in a new chat.
+Include sections for characters (with personalities, relationships and current state), setting and worldbuilding, plot so far in order, tone and style notes, and any established rules or running threads. Quote short passages where the exact wording matters. Prose is preferred over bulletpoints.`
+		},
+		meeting: {
+			id: 'meeting',
+			name: 'Meeting notes',
+			text: `I've attached a chatlog from a previous conversation. Please write it up as meeting notes: a short overview, the key discussion points, decisions made, open questions, and action items with owners where known. Keep it concise and skimmable - use headings and bulletpoints.`
+		}
+	};
+	const SUMMARY_PROMPT_EXPORT_TYPE = 'claude-qol-summary-prompts';
+
+	async function getSavedSummaryPrompts() {
+		return await settingsRegistry.get(SETTINGS_KEYS.FORKING.SUMMARY_PROMPTS);
+	}
+
+	async function saveSummaryPrompt(id, name, text) {
+		const prompts = await getSavedSummaryPrompts();
+		if (!id) id = crypto.randomUUID();
+		prompts[id] = { id, name, text: text.trim(), lastModified: Date.now() };
+		await settingsRegistry.set(SETTINGS_KEYS.FORKING.SUMMARY_PROMPTS, prompts);
+		return id;
+	}
+
+	async function deleteSummaryPrompt(id) {
+		const prompts = await getSavedSummaryPrompts();
+		delete prompts[id];
+		await settingsRegistry.set(SETTINGS_KEYS.FORKING.SUMMARY_PROMPTS, prompts);
+
+		// Don't leave defaults pointing at a prompt that no longer exists
+		if (await settingsRegistry.get(SETTINGS_KEYS.FORKING.SUMMARY_PROMPT) === id) {
+			await settingsRegistry.set(SETTINGS_KEYS.FORKING.SUMMARY_PROMPT, 'default');
+		}
+		const projectDefaults = await settingsRegistry.get(SETTINGS_KEYS.FORKING.PROJECT_SUMMARY_PROMPTS);
+		for (const [projectUuid, promptId] of Object.entries(projectDefaults)) {
+			if (promptId === id) delete projectDefaults[projectUuid];
+		}
+		await settingsRegistry.set(SETTINGS_KEYS.FORKING.PROJECT_SUMMARY_PROMPTS, projectDefaults);
+	}
+
+	async function listSummaryPrompts() {
+		const saved = Object.values(await getSavedSummaryPrompts())
+			.sort((a, b) => a.name.localeCompare(b.name));
+		return [...Object.values(BUILTIN_SUMMARY_PROMPTS), ...saved];
+	}
+
+	// Project default wins over the global one; stale ids fall back to the built-in default
+	async function resolveDefaultSummaryPrompt(projectUuid) {
+		const prompts = await listSummaryPrompts();
+		const projectDefaults = await settingsRegistry.get(SETTINGS_KEYS.FORKING.PROJECT_SUMMARY_PROMPTS);
+		const globalDefault = await settingsRegistry.get(SETTINGS_KEYS.FORKING.SUMMARY_PROMPT);
+		const wanted = (projectUuid && projectDefaults[projectUuid]) || globalDefault;
+		return prompts.find(p => p.id === wanted) || BUILTIN_SUMMARY_PROMPTS.default;
+	}
+
+	async function exportSummaryPrompts() {
+		const saved = Object.values(await getSavedSummaryPrompts());
+		if (saved.length === 0) {
+			showClaudeAlert('Nothing to Export', 'Save a prompt first - the built-in prompts are always available.');
+			return;
+		}
+
+		const data = {
+			type: SUMMARY_PROMPT_EXPORT_TYPE,
+			version: 1,
+			prompts: saved.map(({ name, text }) => ({ name, text }))
+		};
+		const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = 'summary_prompts.json';
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		URL.revokeObjectURL(url);
+	}
+
+	// Merges by name: an imported prompt replaces the text of a saved one with the same name.
+	// Returns the number of prompts imported, or null if nothing was picked.
+	async function importSummaryPrompts() {
+		const fileInput = document.createElement('input');
+		fileInput.type = 'file';
+		fileInput.accept = '.json';
+
+		const file = await new Promise(res => {
+			fileInput.onchange = e => res(e.target.files[0]);
+			fileInput.click();
+		});
+		if (!file) return null;
+
+		let data;
+		try {
+			data = JSON.parse(await file.text());
+		} catch (error) {
+			throw new Error('File is not valid JSON');
+		}
+		if (data?.type !== SUMMARY_PROMPT_EXPORT_TYPE || !Array.isArray(data.prompts)) {
+			throw new Error('File is not a summary prompt export');
+		}
+
+		const prompts = await getSavedSummaryPrompts();
+		const byName = new Map(Object.values(prompts).map(p => [p.name.toLowerCase(), p.id]));
+		let count = 0;
+		for (const prompt of data.prompts) {
+			if (typeof prompt?.name !== 'string' || typeof prompt?.text !== 'string') continue;
+			const name = prompt.name.trim();
+			if (!name || !prompt.text.trim()) continue;
+
+			const id = byName.get(name.toLowerCase()) || crypto.randomUUID();
+			prompts[id] = { id, name, text: prompt.text.trim(), lastModified: Date.now() };
+			byName.set(name.toLowerCase(), id);
+			count++;
+		}
+		await settingsRegistry.set(SETTINGS_KEYS.FORKING.SUMMARY_PROMPTS, prompts);
+		return count;
+	}
+
+	function createSummaryPromptLibrary(promptInput) {
+		const container = document.createElement('div');
+		container.className = 'space-y-2';
+
+		let prompts = [];
+		let projectUuid = null;
+		let touched = false; // user picked or edited something - don't override with a late default
+		let syncingToggle = false;
+
+		// Prompt picker row
+		const pickerRow = document.createElement('div');
+		pickerRow.className = 'flex items-center gap-2';
+
+		const promptSelect = createClaudeSelect([], '', () => {
+			touched = true;
+			const prompt = prompts.find(p => p.id === promptSelect.value);
+			if (prompt) promptInput.value = prompt.text;
+			updateButtons();
+		});
+		promptSelect.classList.add('flex-1', 'min-w-0');
+
+		const saveButton = createClaudeButton('Save as…', 'secondary', async () => {
+			const current = prompts.find(p => p.id === promptSelect.value);
+			const isSaved = current && !BUILTIN_SUMMARY_PROMPTS[current.id];
+			let name;
+			try {
+				name = await showClaudePrompt('Save Summary Prompt', 'Name:', 'e.g. Code review', isSaved ? current.name : '',
+					value => value ? true : 'Enter a name');
+			} catch (error) {
+				return; // Cancelled
+			}
+
+			// Saving under an existing name overwrites that prompt
+			const existing = prompts.find(p => !BUILTIN_SUMMARY_PROMPTS[p.id] && p.name.toLowerCase() === name.toLowerCase());
+			const id = await saveSummaryPrompt(existing?.id || null, name, promptInput.value);
+			touched = true;
+			await refresh(id);
+		});
+
+		const deleteButton = createClaudeButton('Delete', 'secondary', async () => {
+			const current = prompts.find(p => p.id === promptSelect.value);
+			if (!current || BUILTIN_SUMMARY_PROMPTS[current.id]) return;
+			if (!await showClaudeConfirm('Delete Prompt', `Delete the saved prompt "${current.name}"?`)) return;
+			await deleteSummaryPrompt(current.id);
+			await refresh('default');
+			promptInput.value = BUILTIN_SUMMARY_PROMPTS.default.text;
+		});
+
+		for (const button of [saveButton, deleteButton]) {
+			button.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs', 'shrink-0');
+		}
+		pickerRow.append(promptSelect, saveButton, deleteButton);
+		container.appendChild(pickerRow);
+
+		// Default + import/export row
+		const optionsRow = document.createElement('div');
+		optionsRow.className = 'flex items-center gap-2';
+
+		const defaultToggle = createClaudeToggle('Use as default', false);
+		defaultToggle.container.classList.add('flex-1', 'min-w-0');
+		defaultToggle.input.addEventListener('change', async () => {
+			if (syncingToggle) return;
+			if (projectUuid) {
+				const projectDefaults = await settingsRegistry.get(SETTINGS_KEYS.FORKING.PROJECT_SUMMARY_PROMPTS);
+				if (defaultToggle.input.checked) {
+					projectDefaults[projectUuid] = promptSelect.value;
+				} else {
+					delete projectDefaults[projectUuid];
+				}
+				await settingsRegistry.set(SETTINGS_KEYS.FORKING.PROJECT_SUMMARY_PROMPTS, projectDefaults);
+			} else {
+				await settingsRegistry.set(SETTINGS_KEYS.FORKING.SUMMARY_PROMPT,
+					defaultToggle.input.checked ? promptSelect.value : 'default');
+			}
+		});
+
+		const importButton = createClaudeButton('Import', 'secondary', async () => {
+			try {
+				const count = await importSummaryPrompts();
+				if (count === null) return;
+				await refresh(promptSelect.value);
+				showClaudeAlert('Prompts Imported', `Imported ${count} prompt${count === 1 ? '' : 's'}.`);
+			} catch (error) {
+				showClaudeAlert('Import Failed', error.message);
+			}
+		});
+		const exportButton = createClaudeButton('Export', 'secondary', () => exportSummaryPrompts());
+
+		for (const button of [importButton, exportButton]) {
+			button.classList.add('!min-w-0', '!px-2', '!h-7', '!text-xs', 'shrink-0');
+		}
+		optionsRow.append(defaultToggle.container, importButton, exportButton);
+
+		async function updateButtons() {
+			deleteButton.disabled = !!BUILTIN_SUMMARY_PROMPTS[promptSelect.value];
+
+			const projectDefaults = await settingsRegistry.get(SETTINGS_KEYS.FORKING.PROJECT_SUMMARY_PROMPTS);
+			const defaultId = projectUuid
+				? projectDefaults[projectUuid]
+				: await settingsRegistry.get(SETTINGS_KEYS.FORKING.SUMMARY_PROMPT);
+			const isDefault = defaultId === promptSelect.value;
+			if (defaultToggle.input.checked !== isDefault) {
+				// Go through the change event so the switch redraws, without saving anything
+				syncingToggle = true;
+				defaultToggle.input.checked = isDefault;
+				defaultToggle.input.dispatchEvent(new Event('change'));
+				syncingToggle = false;
+			}
+		}
+
+		async function refresh(selectedId) {
+			prompts = await listSummaryPrompts();
+			promptSelect.populateOptions(prompts.map(p => ({ value: p.id, label: p.name })), selectedId);
+			if (!prompts.some(p => p.id === selectedId)) promptSelect.value = 'default';
+			await updateButtons();
+		}
+
+		promptInput.addEventListener('input', () => { touched = true; });
+
+		async function applyDefault() {
+			const prompt = await resolveDefaultSummaryPrompt(projectUuid);
+			await refresh(prompt.id);
+			if (!touched) promptInput.value = prompt.text;
+		}
+
+		applyDefault();
+
+		return {
+			container,
+			optionsRow,
+			// The project is only known once conversation data arrives
+			setProject(uuid) {
+				projectUuid = uuid || null;
+				const labelText = projectUuid ? 'Default for this project' : 'Use as default';
+				defaultToggle.container.querySelector('span').textContent = labelText;
+				defaultToggle.input.setAttribute('aria-label', labelText);
+				if (touched) {
+					updateButtons();
+				} else {
+					applyDefault();
+				}
+			}
+		};
+	}
+	//#endregion
+
 	//#region UI elements creation
 	function createBranchButton() {
 		const svgContent = `
@@ -65,6 +340,8 @@ If this is a writing or creative discussion, include sections for characters, pl
 
 		getConversationMessages(orgId, conversationId, messageUuid)
 			.then(result => {
+				promptLibrary.setProject(result.conversationData.project?.uuid || result.conversationData.project_uuid);
+				setSourceProject(result.conversationData);
 				fetchedMessages = result.messages;
 				totalTokens = estimateTokens(fetchedMessages);
 				percentInput.disabled = false;
@@ -89,6 +366,63 @@ If this is a writing or creative discussion, include sections for characters, pl
 		modelSelect.classList.add('mb-4');
 		leftPanel.appendChild(modelSelect);
 
+		// Target project + knowledge inlining
+		const projectContainer = document.createElement('div');
+		projectContainer.className = 'mb-4 space-y-2';
+		const projectLabel = document.createElement('label');
+		projectLabel.className = CLAUDE_CLASSES.LABEL;
+		projectLabel.textContent = 'Fork into project:';
+		projectContainer.appendChild(projectLabel);
+
+		let projectOptions = [{ value: '', label: 'No project' }];
+		let sourceProjectUuid = '';
+		let projectTouched = false;
+		const projectSelect = createClaudeSearchableSelect(projectOptions, '', () => {
+			projectTouched = true;
+			updateInlineKnowledge();
+		});
+		projectContainer.appendChild(projectSelect);
+
+		const inlineKnowledgeToggle = createClaudeToggle("Inline the project's instructions and knowledge as files", false);
+		inlineKnowledgeToggle.input.id = 'inlineProjectKnowledge';
+		inlineKnowledgeToggle.container.style.transition = 'opacity 0.2s';
+		projectContainer.appendChild(inlineKnowledgeToggle.container);
+		leftPanel.appendChild(projectContainer);
+
+		function updateInlineKnowledge() {
+			const hasProject = !!projectSelect.value;
+			inlineKnowledgeToggle.container.style.opacity = hasProject ? '1' : '0.4';
+			inlineKnowledgeToggle.container.style.pointerEvents = hasProject ? 'auto' : 'none';
+		}
+
+		// The source project may be missing from the list (archived, or no longer a member)
+		function addProjectOption(uuid, name) {
+			if (!uuid || projectOptions.some(o => o.value === uuid)) return;
+			projectOptions.push({ value: uuid, label: name || 'Current project' });
+		}
+
+		function setSourceProject(conversationData) {
+			sourceProjectUuid = conversationData.project?.uuid || conversationData.project_uuid || '';
+			addProjectOption(sourceProjectUuid, conversationData.project?.name);
+			if (!projectTouched) projectSelect.populateOptions(projectOptions, sourceProjectUuid);
+			updateInlineKnowledge();
+		}
+
+		ClaudeProject.list(orgId)
+			.then(projects => {
+				const sourceOption = projectOptions.find(o => o.value === sourceProjectUuid && o.value);
+				projectOptions = [
+					{ value: '', label: 'No project' },
+					...projects
+						.map(p => ({ value: p.uuid, label: p.name }))
+						.sort((a, b) => a.label.localeCompare(b.label))
+				];
+				if (sourceOption) addProjectOption(sourceOption.value, sourceOption.label);
+				projectSelect.populateOptions(projectOptions, projectTouched ? projectSelect.value : sourceProjectUuid);
+			})
+			.catch(err => console.error('Failed to load projects:', err));
+		updateInlineKnowledge();
+
 		// Slider section
 		const rawTextContainer = document.createElement('div');
 		rawTextContainer.className = 'mb-4 space-y-2 border border-border-300 rounded p-3';
@@ -133,6 +467,8 @@ If this is a writing or creative discussion, include sections for characters, pl
 		useSelectedModelToggle.container.style.transition = 'opacity 0.2s';
 		leftPanel.appendChild(useSelectedModelToggle.container);
 
+		// Auto-compact settings (saved immediately, independent of this fork)
+		leftPanel.appendChild(createAutoCompactSettings());
 
 		content.appendChild(leftPanel);
 
@@ -188,7 +524,10 @@ If this is a writing or creative discussion, include sections for characters, pl
 		promptInput.rows = 8;
 		promptInput.style.resize = 'vertical';
 		promptInput.id = 'summaryPrompt';
+		const promptLibrary = createSummaryPromptLibrary(promptInput);
+		rightPanel.appendChild(promptLibrary.container);
 		rightPanel.appendChild(promptInput);
+		rightPanel.appendChild(promptLibrary.optionsRow);
 
 		content.appendChild(rightPanel);
 
@@ -286,6 +625,8 @@ If this is a writing or creative discussion, include sections for characters, pl
 			pendingFork.keepFilesFromSummarized = keepFilesFromSummarizedToggle.input.checked;
 			pendingFork.keepToolCallsFromSummarized = keepToolCallsFromSummarizedToggle.input.checked;
 			pendingFork.useSelectedModelForSummary = useSelectedModelToggle.input.checked;
+			pendingFork.targetProjectUuid = projectSelect.value || null;
+			pendingFork.inlineProjectKnowledge = !!projectSelect.value && inlineKnowledgeToggle.input.checked;
 
 			modal.destroy();
 			await forkConversationClicked(messageUuid);
@@ -314,7 +655,10 @@ If this is a writing or creative discussion, include sections for characters, pl
 				await getConversationMessages(orgId, conversationId, messageUuid);
 
 			const chatName = conversationData.name;
-			const projectUuid = conversationData.project?.uuid || conversationData?.project_uuid || null;
+			// undefined = not picked in the modal (e.g. auto-compaction) - stay in the source project
+			const projectUuid = pendingFork.targetProjectUuid !== undefined
+				? pendingFork.targetProjectUuid
+				: conversationData.project?.uuid || conversationData?.project_uuid || null;
 			pendingFork.sourceSettings = conversationData.settings || {};
 
 			// Fetch existing phantom messages for this conversation
@@ -357,7 +701,7 @@ If this is a writing or creative discussion, include sections for characters, pl
 				}
 
 				if (toSummarize.length > 0) {
-					const summaryMsgs = await chunkAndSummarize(orgId, toSummarize);
+					const summaryMsgs = await chunkAndSummarize(orgId, toSummarize, conversationId);
 
 					// Extract summary texts from user messages (every other, starting at 0)
 					const summaryTexts = summaryMsgs
@@ -407,6 +751,11 @@ If this is a writing or creative discussion, include sections for characters, pl
 				}
 			}
 
+			if (pendingFork.inlineProjectKnowledge && projectUuid) {
+				loadingModal.setContent(createLoadingContent('Fetching project knowledge...'));
+				forkAttachments.push(...await getProjectKnowledgeAttachments(orgId, projectUuid));
+			}
+
 			loadingModal.setContent(createLoadingContent('Creating forked conversation...'));
 
 			// Clean up messages based on toggles
@@ -432,7 +781,7 @@ If this is a writing or creative discussion, include sections for characters, pl
 				}
 			}
 
-			const { newUuid, failedFiles } = await createFork(
+			const { newUuid, newName, failedFiles } = await createFork(
 				orgId,
 				messages,
 				chatName,
@@ -441,6 +790,15 @@ If this is a writing or creative discussion, include sections for characters, pl
 			);
 
 			console.log('Forked conversation created:', newUuid);
+			await recordForkLineage(newUuid, {
+				parent: conversationId,
+				parentName: chatName || 'Untitled',
+				name: newName,
+				forkPoint: messageUuid,
+				summarized: pendingFork.rawTextPercentage < 100,
+				keptPercent: pendingFork.rawTextPercentage,
+				created_at: new Date().toISOString()
+			});
 			loadingModal.setContent(createLoadingContent('Fork complete! Redirecting...'));
 
 			if (failedFiles && failedFiles.length > 0) {
@@ -508,6 +866,33 @@ If this is a writing or creative discussion, include sections for characters, pl
 		return messages;
 	}
 
+	// Instructions and knowledge docs as { text, filename }, the same shape as the chatlog attachments.
+	// Binary project files aren't carried over - only the text docs the project itself inlines.
+	async function getProjectKnowledgeAttachments(orgId, projectUuid) {
+		const project = new ClaudeProject(orgId, projectUuid);
+		const [projectData, docs] = await Promise.all([project.getData(), project.getDocs()]);
+
+		const attachments = [];
+		if (typeof projectData.prompt_template === 'string' && projectData.prompt_template.trim()) {
+			attachments.push({ text: projectData.prompt_template, filename: 'project_instructions.txt' });
+		}
+		for (const doc of docs) {
+			if (doc.content) attachments.push({ text: doc.content, filename: doc.file_name });
+		}
+		return attachments;
+	}
+
+	// Read by the lineage view in navigation.js
+	async function recordForkLineage(forkUuid, record) {
+		try {
+			const lineage = await settingsRegistry.get(SETTINGS_KEYS.FORKING.LINEAGE);
+			lineage[forkUuid] = record;
+			await settingsRegistry.set(SETTINGS_KEYS.FORKING.LINEAGE, lineage);
+		} catch (error) {
+			console.warn('Failed to record fork lineage:', error);
+		}
+	}
+
 	async function getPhantomMessagesFromMain(conversationId) {
 		const messagesJson = await getPhantomMessages(conversationId) || [];
 		const conversation = new ClaudeConversation(getOrgId(), conversationId);
@@ -622,7 +1007,7 @@ If this is a writing or creative discussion, include sections for characters, pl
 
 		await new Promise(r => setTimeout(r, 5000));
 
-		return { newUuid: conversation.conversationId, failedFiles };
+		return { newUuid: conversation.conversationId, newName, failedFiles };
 	}
 
 	function buildSummaryPrompt(priorSummaryCount, includeAttachments) {
@@ -923,6 +1308,7 @@ If this is a writing or creative discussion, include sections for characters, pl
 				// Create ClaudeMessage for this chunk
 				const chunkMsg = new ClaudeMessage(conv);
 				chunkMsg.uuid = isLast ? msg.uuid : crypto.randomUUID();
+				if (!isLast) splitMessageRefs.set(chunkMsg, `${msg.uuid}#${i}`);
 				chunkMsg.parent_message_uuid = previousUuid;
 				chunkMsg.sender = originalSender;
 				chunkMsg.created_at = msg.created_at;
@@ -949,6 +1335,7 @@ If this is a writing or creative discussion, include sections for characters, pl
 				if (!isLast) {
 					const ackMsg = new ClaudeMessage(conv);
 					ackMsg.uuid = crypto.randomUUID();
+					splitMessageRefs.set(ackMsg, `${msg.uuid}#${i}:ack`);
 					ackMsg.parent_message_uuid = chunkMsg.uuid;
 					ackMsg.sender = alternateSender;
 					ackMsg.text = 'Acknowledged.';
@@ -965,7 +1352,89 @@ If this is a writing or creative discussion, include sections for characters, pl
 		return normalized;
 	}
 
-	async function chunkAndSummarize(orgId, messages) {
+	// ======== Summary chunk cache ========
+	// Cached summaries are only reused as an unbroken prefix of the range: each chunk was summarized
+	// with every earlier summary attached, so its hash chains on the previous chunk's hash (and the
+	// first one on the prompt/model/file settings).
+	const MAX_CACHED_SUMMARY_CHUNKS = 100; // per conversation
+	const splitMessageRefs = new WeakMap(); // pieces of split messages get fresh uuids; this keeps them stable
+
+	function messageRef(msg) {
+		return splitMessageRefs.get(msg) || msg.uuid;
+	}
+
+	async function sha256Hex(text) {
+		const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+		return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+	}
+
+	async function summaryCacheSeed() {
+		return await sha256Hex(JSON.stringify({
+			prompt: pendingFork.summaryPrompt,
+			model: pendingFork.useSelectedModelForSummary ? pendingFork.model : FAST_MODEL,
+			files: pendingFork.includeAttachments && pendingFork.keepFilesFromSummarized
+		}));
+	}
+
+	// Must run before generateSummaryForChunk, which strips boilerplate out of the content in place
+	async function hashSummaryChunk(prevHash, chunk) {
+		const content = chunk.map(msg => {
+			const { sender, content, attachments } = msg.toHistoryJSON();
+			return { ref: messageRef(msg), sender, content, attachments, files: msg.files.map(f => f.file_name) };
+		});
+		return await sha256Hex(JSON.stringify([prevHash, content]));
+	}
+
+	// Longest run of cached chunks covering messages from the start -> { chunks, summaries, hashes, end }
+	async function findCachedSummaryPrefix(cached, messages, seed) {
+		const prefix = { chunks: [], summaries: [], hashes: [], end: 0 };
+		let prevHash = seed;
+
+		while (prefix.end < messages.length) {
+			const start = prefix.end;
+			const firstRef = messageRef(messages[start]);
+			let hit = null;
+
+			for (const entry of cached) {
+				if (entry.prevHash !== prevHash || entry.firstRef !== firstRef) continue;
+				let end = start;
+				while (end < messages.length && messageRef(messages[end]) !== entry.lastRef) end++;
+				if (end === messages.length) continue;
+
+				const chunk = messages.slice(start, end + 1);
+				if (await hashSummaryChunk(prevHash, chunk) === entry.hash) {
+					hit = { entry, chunk };
+					break;
+				}
+			}
+			if (!hit) break;
+
+			prefix.chunks.push(hit.chunk);
+			prefix.summaries.push(hit.entry.summary);
+			prefix.hashes.push(hit.entry.hash);
+			prefix.end = start + hit.chunk.length;
+			prevHash = hit.entry.hash;
+		}
+
+		return prefix;
+	}
+
+	async function cacheSummaryChunks(conversationId, cached, chunks, hashes, summaries, seed) {
+		const entries = chunks.map((chunk, i) => ({
+			firstRef: messageRef(chunk[0]),
+			lastRef: messageRef(chunk.at(-1)),
+			prevHash: i === 0 ? seed : hashes[i - 1],
+			hash: hashes[i],
+			summary: summaries[i],
+			created_at: new Date().toISOString()
+		}));
+		const fresh = new Set(hashes);
+		const merged = [...cached.filter(e => !fresh.has(e.hash)), ...entries]
+			.slice(-MAX_CACHED_SUMMARY_CHUNKS);
+		await storeSummaryChunks(conversationId, merged);
+	}
+
+	async function chunkAndSummarize(orgId, messages, conversationId = null) {
 		// Collect ALL files/attachments/toolCalls from entire summarized section upfront using files getter
 		const allFiles = messages.flatMap(m =>
 			m.files.filter(f => f instanceof ClaudeFile || f instanceof ClaudeCodeExecutionFile)
@@ -996,13 +1465,33 @@ If this is a writing or creative discussion, include sections for characters, pl
 		});
 
 		try {
-			// ===== PHASE 1: Calculate chunk boundaries (work backwards) =====
-			const chunks = calculateChunkBoundaries(messages);
+			// ===== PHASE 0: Reuse summaries cached by earlier forks of this conversation =====
+			const seed = await summaryCacheSeed();
+			const cached = conversationId ? (await getSummaryChunks(conversationId) || []) : [];
+			const prefix = await findCachedSummaryPrefix(cached, messages, seed);
+			if (prefix.chunks.length > 0) {
+				console.log(`Reusing ${prefix.chunks.length} cached summary chunks covering ${prefix.end} of ${messages.length} messages`);
+				if (pendingFork.loadingModal) {
+					pendingFork.loadingModal.setContent(
+						createLoadingContent(`Summarizing conversation...\nReused ${prefix.chunks.length} cached chunk${prefix.chunks.length === 1 ? '' : 's'}, summarizing the rest`)
+					);
+				}
+			}
+
+			// ===== PHASE 1: Calculate chunk boundaries for the rest (work backwards) =====
+			const remaining = messages.slice(prefix.end);
+			const newChunks = remaining.length > 0 ? calculateChunkBoundaries(remaining) : [];
+			const chunks = [...prefix.chunks, ...newChunks];
+
+			const hashes = [...prefix.hashes];
+			for (const chunk of newChunks) {
+				hashes.push(await hashSummaryChunk(hashes.at(-1) ?? seed, chunk));
+			}
 
 			// ===== PHASE 2: Generate summaries (work forwards) =====
-			const summaryTexts = [];
-			let processedTokens = 0;
-			for (const chunk of chunks) {
+			const summaryTexts = [...prefix.summaries];
+			let processedTokens = estimateTokens(messages.slice(0, prefix.end));
+			for (const chunk of newChunks) {
 				processedTokens += estimateTokens(chunk);
 				const summaryText = await generateSummaryForChunk(
 					summaryConv,
@@ -1020,7 +1509,19 @@ If this is a writing or creative discussion, include sections for characters, pl
 			}
 
 			// ===== PHASE 2.5: User review/edit summaries =====
-			const editedSummaryTexts = await showSummaryEditModal(summaryTexts, chunks, summaryConv);
+			// Unattended auto-compaction has nobody to review the summaries
+			const editedSummaryTexts = pendingFork.skipSummaryReview
+				? summaryTexts
+				: await showSummaryEditModal(summaryTexts, chunks, summaryConv);
+
+			// Cache what actually went into the fork, edits included
+			if (conversationId) {
+				try {
+					await cacheSummaryChunks(conversationId, cached, chunks, hashes, editedSummaryTexts, seed);
+				} catch (error) {
+					console.warn('Failed to cache chunk summaries:', error);
+				}
+			}
 
 			// ===== PHASE 3: Create synthetic ClaudeMessage pairs =====
 			const syntheticMessages = [];
@@ -1071,7 +1572,8 @@ If this is a writing or creative discussion, include sections for characters, pl
 			console.log('Generated synthetic summary messages:', syntheticMessages.map(m => m.toHistoryJSON()));
 			return syntheticMessages;
 		} finally {
-			await summaryConv.delete();
+			// Nothing was sent if every chunk came from the cache
+			if (summaryConv.created) await summaryConv.delete();
 		}
 	}
 
@@ -1347,6 +1849,190 @@ Provide the complete rewritten summary.`;
 
 	//#endregion
 
+	//#region Auto-compaction
+	const AUTO_COMPACT_MODES = [
+		{ value: 'off', label: 'Off' },
+		{ value: 'offer', label: 'Ask when over the limit' },
+		{ value: 'auto', label: 'Compact automatically' }
+	];
+	const declinedAutoCompact = new Set(); // conversation ids the user said "not now" to this session
+	let autoCompactChecking = false;
+
+	function createAutoCompactSettings() {
+		const container = document.createElement('div');
+		container.className = 'mt-4 space-y-2 border border-border-300 rounded p-3';
+
+		const label = document.createElement('div');
+		label.className = CLAUDE_CLASSES.LABEL;
+		label.textContent = 'Auto-compact long chats';
+		container.appendChild(label);
+
+		const modeSelect = createClaudeSelect(AUTO_COMPACT_MODES, 'off', () => {
+			settingsRegistry.set(SETTINGS_KEYS.FORKING.AUTO_COMPACT, modeSelect.value);
+			updateEnabled();
+		});
+		container.appendChild(modeSelect);
+
+		const row = document.createElement('div');
+		row.className = 'flex items-center gap-2 text-sm text-text-300';
+
+		const thresholdInput = createClaudeInput({ type: 'number' });
+		thresholdInput.min = 1000;
+		thresholdInput.step = 1000;
+		thresholdInput.style.width = '7rem';
+		thresholdInput.addEventListener('change', () => {
+			const value = parseInt(thresholdInput.value);
+			if (value >= 1000) settingsRegistry.set(SETTINGS_KEYS.FORKING.AUTO_COMPACT_THRESHOLD, value);
+		});
+
+		const keepInput = createClaudeInput({ type: 'number' });
+		keepInput.min = 0;
+		keepInput.max = 90;
+		keepInput.step = 10;
+		keepInput.style.width = '4.5rem';
+		keepInput.addEventListener('change', () => {
+			const value = parseInt(keepInput.value);
+			if (!isNaN(value)) {
+				keepInput.value = Math.min(90, Math.max(0, value));
+				settingsRegistry.set(SETTINGS_KEYS.FORKING.AUTO_COMPACT_KEEP, parseInt(keepInput.value));
+			}
+		});
+
+		const thresholdLabel = document.createElement('span');
+		thresholdLabel.textContent = 'Over';
+		const keepLabel = document.createElement('span');
+		keepLabel.textContent = 'tokens, keep';
+		const percentLabel = document.createElement('span');
+		percentLabel.textContent = '% verbatim';
+		row.append(thresholdLabel, thresholdInput, keepLabel, keepInput, percentLabel);
+		container.appendChild(row);
+
+		function updateEnabled() {
+			const enabled = modeSelect.value !== 'off';
+			thresholdInput.disabled = !enabled;
+			keepInput.disabled = !enabled;
+			row.style.opacity = enabled ? '1' : '0.5';
+		}
+
+		Promise.all([
+			settingsRegistry.get(SETTINGS_KEYS.FORKING.AUTO_COMPACT),
+			settingsRegistry.get(SETTINGS_KEYS.FORKING.AUTO_COMPACT_THRESHOLD),
+			settingsRegistry.get(SETTINGS_KEYS.FORKING.AUTO_COMPACT_KEEP)
+		]).then(([mode, threshold, keep]) => {
+			modeSelect.value = mode;
+			thresholdInput.value = threshold;
+			keepInput.value = keep;
+			updateEnabled();
+		});
+		updateEnabled();
+
+		return container;
+	}
+
+	async function checkContextUsage(orgId, conversationId) {
+		if (autoCompactChecking || pendingFork.loadingModal || declinedAutoCompact.has(conversationId)) return;
+		autoCompactChecking = true;
+
+		try {
+			const mode = await settingsRegistry.get(SETTINGS_KEYS.FORKING.AUTO_COMPACT);
+			if (mode === 'off') return;
+			const threshold = await settingsRegistry.get(SETTINGS_KEYS.FORKING.AUTO_COMPACT_THRESHOLD);
+
+			const conversation = new ClaudeConversation(orgId, conversationId);
+			const conversationData = await conversation.getData();
+			const messages = await conversation.getMessages();
+			const phantoms = await getPhantomMessagesFromMain(conversationId);
+			const tokens = estimateTokens(messages) + (phantoms.length > 0 ? estimateTokens(phantoms) : 0);
+
+			if (tokens < threshold || messages.length === 0) return;
+			console.log(`[QOL-Fork] Context estimate for ${conversationId}: ~${tokens} tokens, over the ${threshold} threshold`);
+			// The user may have navigated away while we were counting
+			if (getConversationId() !== conversationId) return;
+
+			if (mode === 'offer') {
+				const accepted = await showClaudeConfirm(
+					'Conversation is getting long',
+					`This chat is at roughly ${Math.round(tokens / 1000)}k tokens, over your ${Math.round(threshold / 1000)}k auto-compact limit.\n\nFork it into a new chat with the older messages summarized?`
+				);
+				if (!accepted) {
+					declinedAutoCompact.add(conversationId);
+					return;
+				}
+			}
+
+			const keep = await settingsRegistry.get(SETTINGS_KEYS.FORKING.AUTO_COMPACT_KEEP);
+			const projectUuid = conversationData.project?.uuid || conversationData.project_uuid || null;
+			pendingFork.summaryPrompt = (await resolveDefaultSummaryPrompt(projectUuid)).text;
+			const modelValues = CLAUDE_MODELS.map(m => m.value);
+			pendingFork.model = modelValues.includes(conversationData.model) ? conversationData.model : CLAUDE_MODELS[0].value;
+			pendingFork.rawTextPercentage = Math.min(90, Math.max(0, keep));
+			pendingFork.includeAttachments = true;
+			pendingFork.includeToolCalls = false;
+			pendingFork.keepFilesFromSummarized = false;
+			pendingFork.keepToolCallsFromSummarized = false;
+			pendingFork.skipSummaryReview = mode === 'auto';
+
+			console.log(`[QOL-Fork] Auto-compacting ${conversationId} (${mode})`);
+			await forkConversationClicked(messages.at(-1).uuid);
+		} catch (error) {
+			console.error('[QOL-Fork] Auto-compact check failed:', error);
+		} finally {
+			autoCompactChecking = false;
+		}
+	}
+
+	// Watch completions on the open chat; once one finishes, see whether it pushed us over the limit
+	const originalFetch = window.fetch;
+	window.fetch = async (...args) => {
+		const [input, config] = args;
+		const url = input instanceof URL ? input.href : (typeof input === 'string' ? input : input?.url);
+
+		if (!url || !(url.includes('/completion') || url.includes('/retry_completion')) || config?.method !== 'POST') {
+			return originalFetch(...args);
+		}
+
+		const urlParts = url.split('/');
+		const orgIndex = urlParts.indexOf('organizations');
+		const convIndex = urlParts.indexOf('chat_conversations');
+		const orgId = orgIndex !== -1 ? urlParts[orgIndex + 1] : null;
+		const conversationId = convIndex !== -1 ? urlParts[convIndex + 1] : null;
+
+		// Forks and summaries run their own completions in other conversations
+		if (!orgId || !conversationId || conversationId !== getConversationId()) {
+			return originalFetch(...args);
+		}
+
+		const response = await originalFetch(...args);
+		if (!response.ok || !response.body) return response;
+
+		const clonedResponse = response.clone();
+		(async () => {
+			try {
+				const mode = await settingsRegistry.get(SETTINGS_KEYS.FORKING.AUTO_COMPACT);
+				if (mode === 'off') {
+					clonedResponse.body.cancel().catch(() => { });
+					return;
+				}
+			} catch (error) {
+				// An unread clone keeps buffering the whole stream, so let it go
+				clonedResponse.body.cancel().catch(() => { });
+				console.warn('Failed to read auto-compaction setting:', error);
+				return;
+			}
+			try {
+				// Only the end of the stream matters, so don't decode anything
+				const reader = clonedResponse.body.getReader();
+				while (!(await reader.read()).done) { }
+			} catch (error) {
+				return; // Stopped or failed generation - nothing new to measure
+			}
+			await checkContextUsage(orgId, conversationId);
+		})().catch(error => console.error('Auto-compaction check failed:', error));
+
+		return response;
+	};
+	//#endregion
+
 	MessageButtonBar.register({
 		buttonClass: 'fork-button',
 		target: 'assistant',
@@ -48,11 +48,14 @@
 		}
 	});
 	if (location.hash) { var t = document.getElementById(location.hash.slice(1)); if (t) t.scrollIntoView(); }
-	var isDark = window.matchMedia('(prefers-color-scheme:dark)').matches;
+	// Themes with a fixed scheme pin it and drop the toggle
+	var scheme = document.body.getAttribute('data-color-scheme');
+	var isDark = scheme === 'dark' || (scheme !== 'light' && window.matchMedia('(prefers-color-scheme:dark)').matches);
 	var btn = document.getElementById('theme-toggle');
 	function applyTheme() { document.documentElement.classList.toggle('dark', isDark); btn.textContent = isDark ? '\u2600' : '\u263D'; }
 	applyTheme();
-	btn.onclick = function () { isDark = !isDark; applyTheme(); };
+	if (scheme === 'light' || scheme === 'dark') btn.remove();
+	else btn.onclick = function () { isDark = !isDark; applyTheme(); };
 
 	document.querySelectorAll('.msg[data-timestamp]').forEach(function (msg) {
 		var ts = parseInt(msg.getAttribute('data-timestamp'), 10);